@@ -39,10 +39,191 @@ function MakeBezierCurve(x1, y1, x2, y2) {
 	};
 }
 
+/**
+ * Wrap a simple easing function f(t) -&gt; progress as a curve
+ * function(t, xy) compatible with MakeBezierCurve.
+ * @private
+ */
+function makeEasingCurve(f) {
+	return function(t, xy) {
+		if (!xy) xy=[];
+		xy[0]=xy[1]=f(t);
+		return xy;
+	};
+}
+
+function bounceOut(t) {
+	if (t<1/2.75) return 7.5625*t*t;
+	if (t<2/2.75) return 7.5625*(t-=1.5/2.75)*t + 0.75;
+	if (t<2.5/2.75) return 7.5625*(t-=2.25/2.75)*t + 0.9375;
+	return 7.5625*(t-=2.625/2.75)*t + 0.984375;
+}
+
+/**
+ * Named animation curves that can be used anywhere a curve function
+ * is accepted.  The curve option of Animation, Timeline and
+ * MapSurface.commit may also be given as one of these names.
+ * <ul>
+ * <li>linear: Constant speed
+ * <li>ease-in: Starts slowly and accelerates to the end
+ * <li>ease-out: Starts quickly and decelerates to a stop
+ * <li>ease-in-out: Accelerates then decelerates
+ * <li>spring: Overshoots the end and settles back with a damped oscillation
+ * <li>bounce: Reaches the end and bounces on it a few times
+ * </ul>
+ * <pre>
+ * 	map.commit({ curve: 'spring', duration: 1.0 });
+ * 	new nanomaps.Animation(framer, { curve: nanomaps.Easing['ease-out'] });
+ * </pre>
+ * @public
+ * @name nanomaps.Easing
+ */
+var Easing={
+	'linear': makeEasingCurve(function(t) {
+		return t;
+	}),
+	'ease-in': makeEasingCurve(function(t) {
+		return t*t*t;
+	}),
+	'ease-out': makeEasingCurve(function(t) {
+		t=1-t;
+		return 1-t*t*t;
+	}),
+	'ease-in-out': makeEasingCurve(function(t) {
+		if (t<0.5) return 4*t*t*t;
+		t=2-2*t;
+		return 1-t*t*t/2;
+	}),
+	'spring': makeEasingCurve(function(t) {
+		return 1 - Math.cos(t*4.5*Math.PI)*Math.exp(-6*t);
+	}),
+	'bounce': makeEasingCurve(bounceOut)
+};
+
+/**
+ * Resolve a curve option which may be a function or the name of
+ * an Easing preset.
+ * @private
+ */
+function resolveCurve(curve) {
+	if (typeof curve==='string') {
+		if (!Easing.hasOwnProperty(curve)) throw new Error('Unknown easing curve ' + curve);
+		return Easing[curve];
+	}
+	return curve;
+}
+
+// ---- Frame scheduling
+var FRAME_FALLBACK_MS=16,
+	frameCallbacks=[],
+	frameRequested=false,
+	frameInterval=null,
+	frameRaf=null;
+
+/**
+ * Locate a (possibly vendor prefixed) requestAnimationFrame.  Returns
+ * null if the platform does not have one.
+ * @private
+ */
+function getRequestAnimationFrame() {
+	if (frameRaf===null) {
+		frameRaf=window.requestAnimationFrame ||
+			window.webkitRequestAnimationFrame ||
+			window.mozRequestAnimationFrame ||
+			window.msRequestAnimationFrame ||
+			false;
+	}
+	return frameRaf;
+}
+
+/**
+ * Answers whether the page is in a background tab.  Only needed for
+ * the interval fallback since requestAnimationFrame does not fire
+ * while hidden.
+ * @private
+ */
+function isPageHidden() {
+	var document=window.document;
+	return !!(document && (document.hidden || document.webkitHidden || document.mozHidden));
+}
+
+/**
+ * Run everything requested for this frame.  Callbacks requested while
+ * running are deferred to the next frame.
+ * @private
+ */
+function runFrame() {
+	var callbacks=frameCallbacks, time=now(), i;
+	frameRequested=false;
+	if (!callbacks.length) return;
+	
+	frameCallbacks=[];
+	for (i=0; i<callbacks.length; i++) {
+		callbacks[i](time);
+	}
+}
+
+function scheduleFrame() {
+	var raf=getRequestAnimationFrame();
+	if (frameRequested) return;
+	frameRequested=true;
+	
+	if (raf) {
+		raf.call(window, runFrame);
+	} else if (!frameInterval) {
+		frameInterval=setInterval(function() {
+			if (isPageHidden()) return;	// Skip frames nobody will see
+			runFrame();
+			if (!frameCallbacks.length) {
+				clearInterval(frameInterval);
+				frameInterval=null;
+			}
+		}, FRAME_FALLBACK_MS);
+	}
+}
+
+/**
+ * Request that callback(time) be invoked once at the next display
+ * frame.  All callbacks requested for a frame, from all animations and
+ * maps on the page, run together so that the browser does a single
+ * layout and paint for them.  Uses requestAnimationFrame when available
+ * and falls back to an interval timer that skips frames while the page
+ * is hidden.  Requesting the same callback more than once per frame
+ * has no additional effect.
+ *
+ * @public
+ * @name nanomaps.requestFrame
+ * @param callback {Function} function(time)
+ */
+function requestFrame(callback) {
+	var i;
+	for (i=0; i<frameCallbacks.length; i++) {
+		if (frameCallbacks[i]===callback) return;
+	}
+	frameCallbacks.push(callback);
+	scheduleFrame();
+}
+
+/**
+ * Cancel a callback previously passed to requestFrame.
+ * @public
+ * @name nanomaps.cancelFrame
+ * @param callback {Function}
+ */
+function cancelFrame(callback) {
+	var i;
+	for (i=0; i<frameCallbacks.length; i++) {
+		if (frameCallbacks[i]===callback) {
+			frameCallbacks.splice(i, 1);
+			return;
+		}
+	}
+}
+
 var ANIMATION_DEFAULT_OPTIONS={
 	curve: MakeBezierCurve(0.25, 0.25, 0.25, 0.25),
 	duration: 0.5,
-	rate: 10
+	rate: 0
 };
 
 /**
@@ -53,6 +234,9 @@ var ANIMATION_DEFAULT_OPTIONS={
  *		function framer(frameNumber, xy, final)
  * </pre>
  *
+ * Frames are driven by requestFrame so that they are in step with the
+ * display and with other animations.
+ * <p>
  * Immediately upon a call to start() the framer will be called as
  * framer(0, [0,0], false).  Just after the final frame, it will be
  * called as framer(n, [1,1], true), where n is the total number
@@ -67,14 +251,15 @@ var ANIMATION_DEFAULT_OPTIONS={
  * @constructor
  * @name nanomaps.Animation
  * @param framer {Function} Callback for each frame
- * @param options.curve {Function(t,xy):xy} Curve function as returned by MakeBezierCurve
+ * @param options.curve {Function(t,xy):xy|String} Curve function as returned by MakeBezierCurve
+ * or the name of an Easing preset
  * @param options.duration {Number} Real time length of the sequence
- * @param options.rate {Number} Desired frame rate (frames/s) 
+ * @param options.rate {Number} Maximum frame rate (frames/s).  Default is the display rate.
  */
 function Animation(framer, options) {
 	if (!options) options=ANIMATION_DEFAULT_OPTIONS;
 	this._f=framer;
-	this._c=options.curve||ANIMATION_DEFAULT_OPTIONS.curve;
+	this._c=resolveCurve(options.curve)||ANIMATION_DEFAULT_OPTIONS.curve;
 	this._d=options.duration||ANIMATION_DEFAULT_OPTIONS.duration;
 	this._r=options.rate||ANIMATION_DEFAULT_OPTIONS.rate;
 	this._s=0;	// State=Not Started
@@ -89,28 +274,29 @@ Animation.prototype={
 	start: function() {
 		if (this._s!==0) return;
 		
-		var self=this, divisions, interval;
+		var self=this;
 		// Setup initial conditions
 		self._ts=now();				// Time start
 		self._td=self._d*1000;
 		self._te=self._ts+self._td; // Time end
 		self._tn=0;					// Frame number
+		self._tl=0;					// Time of last frame
 		
-		divisions=self._d*self._r;	// Time division (number of frames)
-		interval=(self._te-self._ts) / divisions;
-		if (interval<=0) {
+		if (!(self._td>0)) {
 			// Illegal.  Jump straight to end
 			self._s=2;	// State=Finished
 			self._f(0, [0,0], true);
 		} else {
 			// Tee 'er up
 			self._s=1;	// State=Running
-			self._ii=setInterval(function() {
+			self._tick=function() {
+				if (self._s!==1) return;
+				requestFrame(self._tick);
 				self._frame();
-			}, interval);
+			};
 			
 			// Initial frame
-			self._frame();
+			self._tick();
 		}
 	},
 	
@@ -122,7 +308,7 @@ Animation.prototype={
 	 * @methodOf nanomaps.Animation.prototype
 	 */
 	finish: function() {
-		this._last();
+		this._final();
 	},
 	
 	/**
@@ -135,9 +321,9 @@ Animation.prototype={
 	 * @methodOf nanomaps.Animation.prototype
 	 */
 	interrupt: function() {
-		var self=this, ii=self._ii;
+		var self=this;
 		if (self._s===2) return;	// Already finished
-		if (ii) clearInterval(ii);
+		if (self._tick) cancelFrame(self._tick);
 		self._s=2;
 	},
 	
@@ -155,14 +341,18 @@ Animation.prototype={
 			return;
 		}
 		
+		// Throttle to the requested rate
+		if (self._r && (time-self._tl)<1000/self._r) return;
+		self._tl=time;
+		
 		xy=self._c(t);
 		self._f(++self._tn, xy, false);
 	},
 	
 	_final: function() {
-		var self=this, ii=self._ii;
+		var self=this;
 		if (self._s===2) return;	// Already finished
-		if (ii) clearInterval(ii);
+		if (self._tick) cancelFrame(self._tick);
 		self._s=2;
 		self._f(self._tn, [1,1], true);
 		self._f=null;
@@ -170,6 +360,323 @@ Animation.prototype={
 };
 
 
+/**
+ * A Timeline plays a number of tracks, each a framer function as used by
+ * Animation, against a single playhead.  Tracks can run in sequence or
+ * overlap, and the whole timeline can be paused, resumed, sought and
+ * played backwards.  Tracks are added with add() and call(), which return
+ * the timeline for chaining.  By default each track starts when the
+ * previously added one ends.
+ * <pre>
+ * 	var tour=new nanomaps.Timeline();
+ * 	tour.call(function() {
+ * 			map.flyTo({lat: 39.74, lng: -104.99}, 12, { duration: 3 });
+ * 		})
+ * 		.add(fadeInCaption, { duration: 1, offset: 3 })
+ * 		.call(function() {
+ * 			map.flyTo({lat: 40.01, lng: -105.27}, 14, { duration: 2 });
+ * 		}, { offset: 2 })
+ * 		.add(fadeOutCaption, { duration: 1, offset: -0.5 });
+ * 	tour.on('end', function() { ... });
+ * 	tour.play();
+ * </pre>
+ * Framers are called as framer(n, xy, isFinal) with a this reference of
+ * the timeline.  Unlike with Animation, a framer may be run more than once
+ * (if the timeline is sought or reversed), so it should render purely from
+ * xy[0].  When the playhead moves past the end of a track, it is called with
+ * isFinal=true and when moved back before its start it is called with
+ * xy=[0,0].
+ * <p>
+ * Events:
+ * <ul>
+ * <li>progress(time, fraction): After each frame and seek
+ * <li>end(timeline): Playback reached the end (or the start when reversed)
+ * </ul>
+ *
+ * @public
+ * @constructor
+ * @extends nanomaps.EventEmitter
+ * @name nanomaps.Timeline
+ */
+function Timeline() {
+	this._tracks=[];
+	this._last=0;	// End of the last added track
+	this._d=0;		// Duration
+	this._t=0;		// Playhead (seconds)
+	this._dir=1;	// 1=forward, -1=reverse
+	this._s=0;		// State 0=Stopped, 1=Playing
+	this._tl=0;		// Time of last frame
+	this._tick=null;
+}
+Timeline.prototype={
+	/**
+	 * Add a track.  Options:
+	 * <ul>
+	 * <li>duration: Length in seconds.  Default 0.5.
+	 * <li>curve: Curve function or Easing name
+	 * <li>at: Absolute start time in seconds
+	 * <li>offset: If at is not given, the start relative to the end of
+	 * the previously added track.  Negative values overlap it.  Default 0.
+	 * </ul>
+	 * @public
+	 * @name add
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @param framer {Function} Callback for each frame
+	 * @param options {Object}
+	 * @return this
+	 */
+	add: function(framer, options) {
+		if (!options) options={};
+		var duration=Number(options.duration);
+		if (isNaN(duration) || duration<0) duration=ANIMATION_DEFAULT_OPTIONS.duration;
+		return this._add({
+			f: framer,
+			c: resolveCurve(options.curve)||ANIMATION_DEFAULT_OPTIONS.curve,
+			d: duration
+		}, options);
+	},
+	
+	/**
+	 * Add a callback that is invoked when the playhead passes its time
+	 * while playing forward.  Takes the at and offset options of add().
+	 * Callbacks are not invoked by seek().
+	 * @public
+	 * @name call
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @param callback {Function} Invoked with a this reference of the timeline
+	 * @param options {Object}
+	 * @return this
+	 */
+	call: function(callback, options) {
+		return this._add({
+			f: callback,
+			d: 0,
+			cb: true
+		}, options||{});
+	},
+	
+	_add: function(track, options) {
+		var at=Number(options.at);
+		if (isNaN(at)) at=this._last + (Number(options.offset)||0);
+		if (at<0) at=0;
+		
+		track.s=at;		// Start time
+		track.n=0;		// Frame number
+		track.st=0;		// 0=Before, 1=Running, 2=After
+		this._tracks.push(track);
+		this._last=at+track.d;
+		if (this._last>this._d) this._d=this._last;
+		return this;
+	},
+	
+	/**
+	 * @public
+	 * @name getDuration
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @return {Number} total length in seconds
+	 */
+	getDuration: function() {
+		return this._d;
+	},
+	
+	/**
+	 * @public
+	 * @name getTime
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @return {Number} position of the playhead in seconds
+	 */
+	getTime: function() {
+		return this._t;
+	},
+	
+	/**
+	 * @public
+	 * @name isPlaying
+	 * @methodOf nanomaps.Timeline.prototype
+	 */
+	isPlaying: function() {
+		return this._s===1;
+	},
+	
+	/**
+	 * @public
+	 * @name isReversed
+	 * @methodOf nanomaps.Timeline.prototype
+	 */
+	isReversed: function() {
+		return this._dir<0;
+	},
+	
+	/**
+	 * Start playing from the playhead in the current direction.  If the
+	 * playhead is already at the end (or the start when reversed), it is
+	 * rewound first.
+	 * @public
+	 * @name play
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @return this
+	 */
+	play: function() {
+		var self=this;
+		if (self._s===1) return self;
+		
+		if (self._dir>0 ? self._t>=self._d : self._t<=0) {
+			self._seek(self._dir>0 ? 0 : self._d, false);
+			self._rearm();
+		}
+		
+		self._s=1;
+		self._tl=now();
+		if (!self._tick) {
+			self._tick=function(time) {
+				self._frame(time);
+			};
+		}
+		if (self._t===0 && self._dir>0) {
+			// Tracks and callbacks at time zero run right away
+			self._seek(0, true);
+		}
+		requestFrame(self._tick);
+		return self;
+	},
+	
+	/**
+	 * Stop playing, leaving the playhead where it is.
+	 * @public
+	 * @name pause
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @return this
+	 */
+	pause: function() {
+		if (this._s!==1) return this;
+		this._s=0;
+		cancelFrame(this._tick);
+		return this;
+	},
+	
+	/**
+	 * Continue playing after pause().  Unlike play(), never rewinds.
+	 * @public
+	 * @name resume
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @return this
+	 */
+	resume: function() {
+		if (this._dir>0 ? this._t>=this._d : this._t<=0) return this;
+		return this.play();
+	},
+	
+	/**
+	 * Move the playhead to the given time in seconds and render all
+	 * tracks at that time.  Playback continues from there if playing.
+	 * @public
+	 * @name seek
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @param time {Number}
+	 * @return this
+	 */
+	seek: function(time) {
+		this._seek(time, false);
+		this._tl=now();
+		return this;
+	},
+	
+	/**
+	 * Flip the direction of playback.  A playing timeline carries on
+	 * backwards from where it is.  Otherwise the next play() will run
+	 * in the new direction.
+	 * @public
+	 * @name reverse
+	 * @methodOf nanomaps.Timeline.prototype
+	 * @return this
+	 */
+	reverse: function() {
+		this._dir=-this._dir;
+		return this;
+	},
+	
+	/**
+	 * Let callbacks ahead of the playhead fire again.  Those exactly at
+	 * the playhead are included so that rewinding to zero replays them.
+	 */
+	_rearm: function() {
+		var tracks=this._tracks, i;
+		for (i=0; i<tracks.length; i++) {
+			if (tracks[i].cb && tracks[i].s>=this._t) tracks[i].st=0;
+		}
+	},
+	
+	/**
+	 * Called on each display frame while playing.
+	 */
+	_frame: function(time) {
+		var self=this, t, done;
+		if (self._s!==1) return;
+		
+		t=self._t + self._dir*(time-self._tl)/1000;
+		self._tl=time;
+		done=self._dir>0 ? t>=self._d : t<=0;
+		
+		self._seek(t, true);
+		if (done) {
+			self._s=0;
+			self.emit('end', self);
+		} else {
+			requestFrame(self._tick);
+		}
+	},
+	
+	/**
+	 * Render all tracks at time t
+	 */
+	_seek: function(t, playing) {
+		var self=this, tracks=self._tracks, prev=self._t,
+			i, track, local;
+		
+		if (t<0 || isNaN(t)) t=0;
+		else if (t>self._d) t=self._d;
+		self._t=t;
+		
+		for (i=0; i<tracks.length; i++) {
+			track=tracks[i];
+			if (track.cb) {
+				// Callbacks fire on the way past while playing forward
+				if (t<track.s || (t===track.s && t<prev)) {
+					track.st=0;
+				} else if (track.st===0) {
+					track.st=2;
+					if (playing && self._dir>0) track.f.call(self);
+				}
+				continue;
+			}
+			
+			local=track.d>0 ? (t-track.s)/track.d : (t<track.s ? -1 : 1);
+			if (local<0) {
+				if (track.st!==0) {
+					track.st=0;
+					track.f.call(self, ++track.n, [0,0], false);
+				}
+			} else if (local>=1) {
+				if (track.st!==2) {
+					track.st=2;
+					track.f.call(self, ++track.n, [1,1], true);
+				}
+			} else {
+				track.st=1;
+				track.f.call(self, ++track.n, track.c(local), false);
+			}
+		}
+		
+		self.emit('progress', t, self._d>0 ? t/self._d : 1);
+	}
+};
+inherits(Timeline, EventEmitter);
+
+
 exports.MakeBezierCurve=MakeBezierCurve;
+exports.Easing=Easing;
+exports.Timeline=Timeline;
 exports.Animation=Animation;
+exports.requestFrame=requestFrame;
+exports.cancelFrame=cancelFrame;
 
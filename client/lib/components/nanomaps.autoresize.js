@@ -0,0 +1,116 @@
+/**
+ * nanomaps.autoresize.js
+ * Track changes to the size of the map container so that setSize()
+ * does not need to be called by hand.
+ */
+
+var AUTORESIZE_POLL_MS=500;
+
+MapSurfaceMethods.advise('initialize', 'after', function(options) {
+	if (options.autoResize) this.setAutoResize(true, options.resizeAnchor);
+});
+
+MapSurfaceMethods.advise('destroy', 'before', function() {
+	this.setAutoResize(false);
+});
+
+/**
+ * Enable or disable automatic resizing.  When enabled, the container element
+ * is watched with a ResizeObserver where available and by listening for window
+ * resize events and polling otherwise.  Whenever its size changes, the map is
+ * resized keeping the global location at the anchor point fixed.
+ * <p>
+ * Since the container is being watched for changes, its style width and height
+ * are cleared and its size must come from CSS (ie. a flex item or a percentage
+ * size).  This can also be enabled at construction with the autoResize and
+ * resizeAnchor options.
+ * <pre>
+ * 	var map=new nanomaps.MapSurface(elt, { autoResize: true });
+ * 	// Keep the top-left corner fixed instead of the center
+ * 	map.setAutoResize(true, { x: 0, y: 0 });
+ * </pre>
+ * 
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name setAutoResize
+ * @param enable {boolean}
+ * @param [anchor={x:0.5,y:0.5}] anchor point expressed as fractions of the map width and height
+ */
+MapSurfaceMethods.setAutoResize=function(enable, anchor) {
+	var self=this,
+		elt=this.elements.parent,
+		document=this.elements.document,
+		win=document.defaultView||window,
+		state=this._autoResize;
+	
+	// Stop any previous watch
+	if (state) {
+		if (state.observer) state.observer.disconnect();
+		if (state.listener) removeEventListener(win, 'resize', state.listener);
+		if (state.ii) clearInterval(state.ii);
+		this._autoResize=null;
+	}
+	if (!enable) return;
+	
+	state=this._autoResize={
+		anchor: anchor||{x:0.5, y:0.5},
+		observer: null,
+		listener: null,
+		ii: null
+	};
+	
+	function check() {
+		self.checkSize();
+	}
+	
+	if (win.ResizeObserver) {
+		state.observer=new win.ResizeObserver(check);
+		state.observer.observe(elt);
+	} else {
+		state.listener=check;
+		addEventListener(win, 'resize', check);
+		// Catch changes that do not involve the window (ie. collapsing panels)
+		state.ii=setInterval(check, AUTORESIZE_POLL_MS);
+	}
+	
+	// Let the container size itself
+	elt.style.width='';
+	elt.style.height='';
+	check();
+};
+
+/**
+ * Measure the container and resize the map if it has changed.  This is called
+ * automatically if autoResize is enabled.  The global location at the auto resize
+ * anchor point (default center) is kept fixed.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name checkSize
+ * @return true if the map was resized
+ */
+MapSurfaceMethods.checkSize=function() {
+	var elt=this.elements.parent,
+		style=elt.style,
+		cssWidth=style.width,
+		cssHeight=style.height,
+		mapState=this._pendMapState,
+		width=elt.clientWidth,
+		height=elt.clientHeight,
+		anchor=(this._autoResize && this._autoResize.anchor) || {x:0.5, y:0.5},
+		location;
+	if (width===mapState.w && height===mapState.h) return false;
+	
+	location=this.getLocation(anchor.x*mapState.w, anchor.y*mapState.h);
+	this.begin();
+	this.setSize(width, height);
+	
+	// setSize fixes the container at the new size.  Leave sizing to the
+	// page so that later changes can still be measured.
+	style.width=cssWidth;
+	style.height=cssHeight;
+	
+	this.setLocation(location, anchor.x*width, anchor.y*height);
+	this.commit();
+	return true;
+};
@@ -0,0 +1,803 @@
+/**
+ * nanomaps.controls.js
+ * User interface controls that float over the map in a fixed
+ * position (scale bar, etc).
+ */
+
+var CONTROL_CORNERS={
+	'top-left': [0, 0],
+	'top-right': [1, 0],
+	'bottom-left': [0, 1],
+	'bottom-right': [1, 1]
+};
+
+/**
+ * Position a control element in a corner of the viewport.  Controls are
+ * unmanaged so their parent layer sits at the top left of the map with no
+ * size.  Therefore they can't be placed with css right/bottom and are laid
+ * out against the map size here instead.
+ * @private
+ */
+function placeControl(map, element, corner, margin) {
+	var anchor=CONTROL_CORNERS[corner]||CONTROL_CORNERS['top-left'],
+		mapState=map.mapState;
+	element.style.left=(anchor[0] ?
+		mapState.w - element.offsetWidth - margin :
+		margin) + 'px';
+	element.style.top=(anchor[1] ?
+		mapState.h - element.offsetHeight - margin :
+		margin) + 'px';
+}
+
+/**
+ * Create a button for a control.  The action is only invoked if the
+ * button is enabled and the control is on a map.  Buttons are real button
+ * elements so that they can be focused and operated from the keyboard.
+ * @private
+ */
+function makeControlButton(control, document, className, title, action) {
+	var button=document.createElement('button');
+	button.setAttribute('type', 'button');
+	button.setAttribute('title', title);
+	button.className=className;
+	addEventListener(button, 'click', function(event) {
+		stopEvent(event);
+		if (!button.disabled && control.owner) action(control.owner);
+	});
+	return button;
+}
+
+/**
+ * Enable or disable a control button, reflecting the state in the
+ * disabled property and the nmctl-disabled css class.
+ * @private
+ */
+function setControlButtonEnabled(button, enabled) {
+	var className=button.className.replace(/(^|\s)nmctl-disabled(?=\s|$)/g, '');
+	button.disabled=!enabled;
+	button.className=enabled ? className : className + ' nmctl-disabled';
+}
+
+/**
+ * Common settings handling for controls
+ * @private
+ */
+function makeControlSettings(options, defaults) {
+	var settings={}, k;
+	for (k in defaults) {
+		settings[k]=(options && options[k]!==undefined) ? options[k] : defaults[k];
+	}
+	settings.margin=Number(settings.margin);
+	return settings;
+}
+
+/**
+ * Generic peer for controls.  Controls stay put while the map moves so
+ * they are only placed (which needs a layout) on reset.  The refresh
+ * function updates the element's content before it is placed.  The
+ * optional track function updates anything that follows the view (ie. a
+ * compass needle) and is called on every position change.  It must not
+ * read the layout.
+ * @private
+ */
+function ControlPeer(settings, refresh, track) {
+	this.settings=settings;
+	this.refresh=refresh;
+	this.track=track;
+}
+ControlPeer.prototype={
+	maposition: function(map, element) {
+		if (this.track) this.track(map, element);
+	},
+	
+	mareset: function(map, element) {
+		var settings=this.settings;
+		if (this.refresh) this.refresh(map, element);
+		if (this.track) this.track(map, element);
+		placeControl(map, element, settings.corner, settings.margin);
+	}
+};
+
+/**
+ * Follow events on the map that a control is attached to.  The listener
+ * is removed from the events of the map previously followed (in
+ * control._map) and added to those of map (unless null).
+ * @private
+ */
+function listenControl(control, map, events, listener) {
+	var old=control._map, i;
+	if (old===map) return;
+	for (i=0; old && i<events.length; i++) {
+		old.removeListener(events[i], listener);
+	}
+	control._map=map;
+	for (i=0; map && i<events.length; i++) {
+		map.on(events[i], listener);
+	}
+}
+
+/**
+ * Map events that can change the zoom range available to a ZoomControl.
+ * The control's own detach is followed to stop listening.
+ * @private
+ */
+var ZOOM_CONTROL_EVENTS=['commit', 'zoomend', 'detach'];
+
+/**
+ * Zoom in and out buttons.  Each click zooms by one level with an
+ * animation.  A button is disabled while the map is at the corresponding
+ * limit (see MapSurface.getMinZoom and getMaxZoom).
+ * <p>
+ * Options:
+ * <ul>
+ * <li>corner: 'top-left' (default), 'top-right', 'bottom-left' or 'bottom-right'
+ * <li>margin: Pixels between the control and the edge of the map.  Default 10.
+ * <li>cssPrefix: Prefix for css class names.  Default 'nmzoom'.
+ * </ul>
+ * The element structure is:
+ * <pre>
+ * 	&lt;div class="nmctl nmzoom"&gt;
+ * 		&lt;button class="nmzoom-in" title="Zoom in"&gt;+&lt;/button&gt;
+ * 		&lt;button class="nmzoom-out nmctl-disabled" title="Zoom out" disabled&gt;-&lt;/button&gt;
+ * 	&lt;/div&gt;
+ * </pre>
+ * @constructor
+ * @public
+ * @name nanomaps.ZoomControl
+ */
+function ZoomControl(options) {
+	var self=this;
+	this.settings=makeControlSettings(options, {
+		corner: 'top-left',
+		margin: 10,
+		cssPrefix: 'nmzoom'
+	});
+	this.element=null;
+	this._map=null;
+	
+	// Buttons are enabled as the zoom changes rather than on every frame
+	this._listener=function(arg) {
+		if (arg===self) {
+			// Detached (or reattached) ourselves
+			if (!self.element.parentNode) listenControl(self, null, ZOOM_CONTROL_EVENTS, self._listener);
+		} else if (self._map) {
+			refreshZoomControl(self._map, self.element);
+		}
+	};
+}
+ZoomControl.prototype={
+	/**
+	 * (Attachment Api) Controls go on the foreground layer
+	 * @public
+	 * @memberOf nanomaps.ZoomControl.prototype
+	 */
+	defaultLayer: 'foreground',
+	
+	/**
+	 * (Attachment Api) Controls stay put when the map moves
+	 * @public
+	 * @memberOf nanomaps.ZoomControl.prototype
+	 */
+	unmanaged: true,
+	
+	/**
+	 * (Attachment Api) Get the element that should be attached
+	 * to the map.
+	 * @public
+	 * @memberOf nanomaps.ZoomControl.prototype
+	 */
+	getElement: function(mapSurface) {
+		this.owner=mapSurface;
+		listenControl(this, mapSurface, ZOOM_CONTROL_EVENTS, this._listener);
+		if (this.element) {
+			refreshZoomControl(mapSurface, this.element);
+			return this.element;
+		}
+		
+		var d=mapSurface.elements.document,
+			cssPrefix=this.settings.cssPrefix,
+			element=d.createElement('div'),
+			zoomIn=makeControlButton(this, d, cssPrefix + '-in', 'Zoom in', function(map) {
+				map.begin();
+				map.zoomIn();
+				map.commit(true);
+			}),
+			zoomOut=makeControlButton(this, d, cssPrefix + '-out', 'Zoom out', function(map) {
+				map.begin();
+				map.zoomOut();
+				map.commit(true);
+			});
+		
+		zoomIn.innerHTML='+';
+		zoomOut.innerHTML='-';
+		element.className='nmctl ' + cssPrefix;
+		element.appendChild(zoomIn);
+		element.appendChild(zoomOut);
+		element._in=zoomIn;
+		element._out=zoomOut;
+		element.mapeer=new ControlPeer(this.settings, null);
+		refreshZoomControl(mapSurface, element);
+		
+		this.element=element;
+		return element;
+	}
+};
+
+function refreshZoomControl(map, element) {
+	var zoom=map.getZoom();
+	setControlButtonEnabled(element._in, zoom<map.getMaxZoom());
+	setControlButtonEnabled(element._out, zoom>map.getMinZoom());
+}
+
+/**
+ * Buttons that pan the map up, down, left and right with an animation.
+ * Directions are relative to the screen, even if the map is rotated.
+ * <p>
+ * Options:
+ * <ul>
+ * <li>step: Pixels to move per click.  Default 100.
+ * <li>corner: 'top-left' (default), 'top-right', 'bottom-left' or 'bottom-right'
+ * <li>margin: Pixels between the control and the edge of the map.  Default 10.
+ * <li>cssPrefix: Prefix for css class names.  Default 'nmpan'.
+ * </ul>
+ * The element structure is:
+ * <pre>
+ * 	&lt;div class="nmctl nmpan"&gt;
+ * 		&lt;button class="nmpan-up" title="Pan up"&gt;&lt;/button&gt;
+ * 		&lt;button class="nmpan-left" title="Pan left"&gt;&lt;/button&gt;
+ * 		&lt;button class="nmpan-right" title="Pan right"&gt;&lt;/button&gt;
+ * 		&lt;button class="nmpan-down" title="Pan down"&gt;&lt;/button&gt;
+ * 	&lt;/div&gt;
+ * </pre>
+ * @constructor
+ * @public
+ * @name nanomaps.PanControl
+ */
+function PanControl(options) {
+	this.settings=makeControlSettings(options, {
+		step: 100,
+		corner: 'top-left',
+		margin: 10,
+		cssPrefix: 'nmpan'
+	});
+	this.element=null;
+}
+PanControl.prototype={
+	/**
+	 * (Attachment Api) Controls go on the foreground layer
+	 * @public
+	 * @memberOf nanomaps.PanControl.prototype
+	 */
+	defaultLayer: 'foreground',
+	
+	/**
+	 * (Attachment Api) Controls stay put when the map moves
+	 * @public
+	 * @memberOf nanomaps.PanControl.prototype
+	 */
+	unmanaged: true,
+	
+	/**
+	 * (Attachment Api) Get the element that should be attached
+	 * to the map.
+	 * @public
+	 * @memberOf nanomaps.PanControl.prototype
+	 */
+	getElement: function(mapSurface) {
+		this.owner=mapSurface;
+		if (this.element) return this.element;
+		
+		var self=this,
+			d=mapSurface.elements.document,
+			cssPrefix=this.settings.cssPrefix,
+			element=d.createElement('div');
+		
+		function addButton(direction, eastingPx, northingPx) {
+			element.appendChild(makeControlButton(self, d, cssPrefix + '-' + direction, 'Pan ' + direction, function(map) {
+				var step=Number(self.settings.step)||0;
+				map.begin();
+				map.moveBy(eastingPx*step, northingPx*step);
+				map.commit(true);
+			}));
+		}
+		
+		element.className='nmctl ' + cssPrefix;
+		addButton('up', 0, 1);
+		addButton('left', -1, 0);
+		addButton('right', 1, 0);
+		addButton('down', 0, -1);
+		element.mapeer=new ControlPeer(this.settings, null);
+		
+		this.element=element;
+		return element;
+	}
+};
+
+/**
+ * A compass showing which way is north.  The needle element is rotated
+ * with the map and clicking resets the bearing to north with an animation.
+ * While the map faces north, the compass has the nmcompass-north class
+ * (which can be used to hide it).
+ * <p>
+ * Options:
+ * <ul>
+ * <li>corner: 'top-left', 'top-right' (default), 'bottom-left' or 'bottom-right'
+ * <li>margin: Pixels between the control and the edge of the map.  Default 10.
+ * <li>cssPrefix: Prefix for css class names.  Default 'nmcompass'.
+ * </ul>
+ * The element structure is:
+ * <pre>
+ * 	&lt;div class="nmctl nmcompass"&gt;
+ * 		&lt;button class="nmcompass-reset" title="Reset north"&gt;
+ * 			&lt;div class="nmcompass-needle"&gt;&lt;/div&gt;
+ * 		&lt;/button&gt;
+ * 	&lt;/div&gt;
+ * </pre>
+ * @constructor
+ * @public
+ * @name nanomaps.Compass
+ */
+function Compass(options) {
+	this.settings=makeControlSettings(options, {
+		corner: 'top-right',
+		margin: 10,
+		cssPrefix: 'nmcompass'
+	});
+	this.element=null;
+}
+Compass.prototype={
+	/**
+	 * (Attachment Api) Controls go on the foreground layer
+	 * @public
+	 * @memberOf nanomaps.Compass.prototype
+	 */
+	defaultLayer: 'foreground',
+	
+	/**
+	 * (Attachment Api) Controls stay put when the map moves
+	 * @public
+	 * @memberOf nanomaps.Compass.prototype
+	 */
+	unmanaged: true,
+	
+	/**
+	 * (Attachment Api) Get the element that should be attached
+	 * to the map.
+	 * @public
+	 * @memberOf nanomaps.Compass.prototype
+	 */
+	getElement: function(mapSurface) {
+		this.owner=mapSurface;
+		if (this.element) return this.element;
+		
+		var d=mapSurface.elements.document,
+			cssPrefix=this.settings.cssPrefix,
+			element=d.createElement('div'),
+			needle=d.createElement('div'),
+			reset=makeControlButton(this, d, cssPrefix + '-reset', 'Reset north', function(map) {
+				map.begin();
+				map.setBearing(0);
+				map.commit(true);
+			});
+		
+		needle.className=cssPrefix + '-needle';
+		reset.appendChild(needle);
+		element.appendChild(reset);
+		element._needle=needle;
+		element.mapeer=new ControlPeer(this.settings, measureCompass, refreshCompass);
+		
+		this.element=element;
+		return element;
+	}
+};
+
+/**
+ * Record the needle size on reset so that turning it on each frame
+ * does not need a layout
+ * @private
+ */
+function measureCompass(map, element) {
+	var needle=element._needle;
+	element._cx=needle.offsetWidth/2;
+	element._cy=needle.offsetHeight/2;
+}
+
+function refreshCompass(map, element) {
+	var needle=element._needle,
+		cssPrefix=needle.className.replace(/-needle$/, ''),
+		rot=map.mapState.rot;
+	element.className='nmctl ' + cssPrefix + (rot ? '' : ' ' + cssPrefix + '-north');
+	setRotation(needle, -rot, element._cx, element._cy);
+}
+
+/**
+ * Get the list of attribution strings for an attachment (which may be
+ * a plain element).
+ * @private
+ */
+function getAttributions(attachment) {
+	var attribution;
+	if (isHtmlElement(attachment)) {
+		attribution=attachment.attribution ||
+			(attachment.getAttribute && getGeoAttribute(attachment, 'attribution'));
+	} else {
+		attribution=attachment.attribution;
+	}
+	if (!attribution) return [];
+	return typeof attribution==='string' ? [attribution] : attribution;
+}
+
+/**
+ * Shows the credits required by the attachments on the map, such as
+ * tile layers.  The attribution property of each visible attachment
+ * (see the Attachment API under MapSurface.attach) is collected, duplicates
+ * are removed and the result is displayed in the order the attachments
+ * appear on the map.  It updates itself when attachments are attached,
+ * detached, shown or hidden.
+ * <pre>
+ * 	map.attach(new nanomaps.TileLayer({
+ * 		tileSrc: "http://${modulo:a,b,c}.tile.openstreetmap.org/${level}/${tileX}/${tileY}.png",
+ * 		attribution: '&amp;copy; &lt;a href="http://www.openstreetmap.org/"&gt;OpenStreetMap&lt;/a&gt; contributors'
+ * 	}));
+ * 	map.attach(new nanomaps.AttributionControl());
+ * </pre>
+ * Options:
+ * <ul>
+ * <li>prefix: Html shown before the attributions (only if there are any).  Default none.
+ * <li>separator: Html between attributions.  Default ' | '.
+ * <li>corner: 'top-left', 'top-right', 'bottom-left' or 'bottom-right' (default)
+ * <li>margin: Pixels between the control and the edge of the map.  Default 0.
+ * <li>cssPrefix: Prefix for css class names.  Default 'nmattrib'.
+ * </ul>
+ * The element structure is:
+ * <pre>
+ * 	&lt;div class="nmctl nmattrib"&gt;
+ * 		&lt;span class="nmattrib-item"&gt;...&lt;/span&gt; | &lt;span class="nmattrib-item"&gt;...&lt;/span&gt;
+ * 	&lt;/div&gt;
+ * </pre>
+ * While there is nothing to credit, the nmattrib-empty class is added.
+ * @constructor
+ * @public
+ * @name nanomaps.AttributionControl
+ */
+function AttributionControl(options) {
+	var self=this;
+	this.settings=makeControlSettings(options, {
+		prefix: '',
+		separator: ' | ',
+		corner: 'bottom-right',
+		margin: 0,
+		cssPrefix: 'nmattrib'
+	});
+	this.element=null;
+	this._map=null;
+	
+	// Attributions and their html are cached between attachment changes
+	// so that moving the map does not rescan the attachments
+	this._attributions=null;
+	this._html=null;
+	this._listener=function(attachment) {
+		var map=self._map;
+		self._invalidate();
+		if (attachment===self) {
+			// Detached (or reattached) ourselves
+			if (!self.element.parentNode) self._listen(null);
+		} else if (map && self.element.parentNode) {
+			map.update(self);
+		}
+	};
+}
+AttributionControl.prototype={
+	/**
+	 * (Attachment Api) Controls go on the foreground layer
+	 * @public
+	 * @memberOf nanomaps.AttributionControl.prototype
+	 */
+	defaultLayer: 'foreground',
+	
+	/**
+	 * (Attachment Api) Controls stay put when the map moves
+	 * @public
+	 * @memberOf nanomaps.AttributionControl.prototype
+	 */
+	unmanaged: true,
+	
+	/**
+	 * (Attachment Api) Get the element that should be attached
+	 * to the map.
+	 * @public
+	 * @memberOf nanomaps.AttributionControl.prototype
+	 */
+	getElement: function(mapSurface) {
+		var self=this;
+		this.owner=mapSurface;
+		this._listen(mapSurface);
+		if (this.element) return this.element;
+		
+		var element=mapSurface.elements.document.createElement('div');
+		element.mapeer=new ControlPeer(this.settings, function(map, element) {
+			refreshAttribution(self, element);
+		});
+		this.element=element;
+		return element;
+	},
+	
+	/**
+	 * Get the attributions currently displayed
+	 * @public
+	 * @methodOf nanomaps.AttributionControl.prototype
+	 * @name getAttributions
+	 * @return {Array} of html strings
+	 */
+	getAttributions: function() {
+		if (!this._map) return [];
+		if (!this._attributions) this._attributions=collectAttributions(this._map);
+		return this._attributions.slice();
+	},
+	
+	/**
+	 * Forget the cached attributions.  They are collected again on the
+	 * next refresh.
+	 * @private
+	 */
+	_invalidate: function() {
+		this._attributions=null;
+		this._html=null;
+	},
+	
+	/**
+	 * Follow attachment changes on the given map (or none if null)
+	 * @private
+	 */
+	_listen: function(map) {
+		if (this._map===map) return;
+		this._invalidate();
+		listenControl(this, map, ATTRIBUTION_CONTROL_EVENTS, this._listener);
+	}
+};
+
+/**
+ * Map events that can change the attributions shown
+ * @private
+ */
+var ATTRIBUTION_CONTROL_EVENTS=['attach', 'detach', 'visibility'];
+
+/**
+ * Gather the unique attributions of everything visible on a map.
+ * @private
+ */
+function collectAttributions(map) {
+	var attachments=map.getAttachments(),
+		seen={},
+		ret=[],
+		list, i, j;
+	for (i=0; i<attachments.length; i++) {
+		if (!map.isAttachmentVisible(attachments[i])) continue;
+		list=getAttributions(attachments[i]);
+		for (j=0; j<list.length; j++) {
+			if (!list[j] || seen.hasOwnProperty(list[j])) continue;
+			seen[list[j]]=true;
+			ret.push(list[j]);
+		}
+	}
+	return ret;
+}
+
+/**
+ * Render the attributions of an AttributionControl into its element.
+ * Nothing is done until the cache is invalidated by an attachment change.
+ * @private
+ */
+function refreshAttribution(control, element) {
+	if (control._html!==null) return;
+	
+	var settings=control.settings,
+		cssPrefix=settings.cssPrefix,
+		attributions=control.getAttributions(),
+		html=[],
+		i;
+	for (i=0; i<attributions.length; i++) {
+		html.push('<span class="' + cssPrefix + '-item">' + attributions[i] + '</span>');
+	}
+	html=html.join(settings.separator);
+	if (html && settings.prefix) html=settings.prefix + ' ' + html;
+	control._html=html;
+	
+	// Avoid disturbing the dom (and any link being clicked) if nothing changed
+	if (element._html!==html) {
+		element._html=html;
+		element.innerHTML=html;
+	}
+	element.className='nmctl ' + cssPrefix + (html ? '' : ' ' + cssPrefix + '-empty');
+}
+
+/**
+ * Units supported by ScaleControl.  Each has a list of [name, meters]
+ * pairs ordered from largest to smallest.  The largest unit that can
+ * represent at least one whole step is used.
+ * @private
+ */
+var SCALE_UNITS={
+	metric: [
+		['km', 1000],
+		['m', 1]
+	],
+	imperial: [
+		['mi', 1609.344],
+		['ft', 0.3048]
+	],
+	nautical: [
+		['nm', 1852]
+	]
+};
+
+/**
+ * Round down to the nearest 1, 2 or 5 times a power of ten
+ * @private
+ */
+function roundScaleDistance(d) {
+	var pow=Math.pow(10, Math.floor(Math.log(d)/Math.LN10)),
+		f=d/pow;
+	if (f>=5) f=5;
+	else if (f>=2) f=2;
+	else f=1;
+	return parseFloat((f*pow).toPrecision(1));
+}
+
+/**
+ * A scale bar showing a rounded ground distance.  The distance is
+ * measured horizontally across the center of the map, where the Web
+ * Mercator scale is res*cos(latitude), so it changes as the map is
+ * panned north and south as well as when it is zoomed.
+ * <pre>
+ * 	var scale=new nanomaps.ScaleControl({ units: 'imperial' });
+ * 	map.attach(scale);
+ * 	...
+ * 	scale.setUnits('nautical');
+ * </pre>
+ * Options:
+ * <ul>
+ * <li>units: 'metric' (default), 'imperial' or 'nautical'
+ * <li>maxWidth: Maximum width of the bar in pixels.  Default 100.
+ * <li>corner: Where to place it.  One of 'top-left', 'top-right',
+ * 'bottom-left' (default) or 'bottom-right'.
+ * <li>margin: Pixels between the control and the edge of the map.  Default 10.
+ * <li>cssPrefix: Prefix for css class names.  Default 'nmscale'.
+ * </ul>
+ * The element structure is:
+ * <pre>
+ * 	&lt;div class="nmctl nmscale nmscale-metric"&gt;
+ * 		&lt;div class="nmscale-bar" style="width: 87px"&gt;&lt;/div&gt;
+ * 		&lt;div class="nmscale-label"&gt;500 m&lt;/div&gt;
+ * 	&lt;/div&gt;
+ * </pre>
+ * The following styling works well:
+ * <pre>
+ *	.nmscale-bar {
+ *		height: 4px;
+ *		border: 2px solid #333;
+ *		border-top: none;
+ *	}
+ *	.nmscale-label {
+ *		font: 11px Helvetica, arial, sans-serif;
+ *		color: #333;
+ *	}
+ * </pre>
+ * @constructor
+ * @public
+ * @name nanomaps.ScaleControl
+ */
+function ScaleControl(options) {
+	var settings=this.settings=makeControlSettings(options, {
+		units: 'metric',
+		maxWidth: 100,
+		corner: 'bottom-left',
+		margin: 10,
+		cssPrefix: 'nmscale'
+	});
+	if (!SCALE_UNITS[settings.units]) settings.units='metric';
+	settings.maxWidth=Number(settings.maxWidth)||100;
+	this.element=null;
+}
+ScaleControl.prototype={
+	/**
+	 * (Attachment Api) Controls go on the foreground layer
+	 * @public
+	 * @memberOf nanomaps.ScaleControl.prototype
+	 */
+	defaultLayer: 'foreground',
+	
+	/**
+	 * (Attachment Api) Controls stay put when the map moves
+	 * @public
+	 * @memberOf nanomaps.ScaleControl.prototype
+	 */
+	unmanaged: true,
+	
+	/**
+	 * (Attachment Api) Get the element that should be attached
+	 * to the map.
+	 * @public
+	 * @memberOf nanomaps.ScaleControl.prototype
+	 */
+	getElement: function(mapSurface) {
+		this.owner=mapSurface;
+		if (this.element) return this.element;
+		
+		var d=mapSurface.elements.document,
+			cssPrefix=this.settings.cssPrefix,
+			element=d.createElement('div'),
+			bar=d.createElement('div'),
+			label=d.createElement('div');
+		
+		bar.className=cssPrefix + '-bar';
+		label.className=cssPrefix + '-label';
+		element.appendChild(bar);
+		element.appendChild(label);
+		
+		// The scale changes with latitude so it follows every move
+		element.mapeer=new ControlPeer(this.settings, null, refreshScaleControl);
+		
+		this.element=element;
+		return element;
+	},
+	
+	/**
+	 * Change the units displayed
+	 * @public
+	 * @methodOf nanomaps.ScaleControl.prototype
+	 * @name setUnits
+	 * @param units {String} 'metric', 'imperial' or 'nautical'
+	 */
+	setUnits: function(units) {
+		if (!SCALE_UNITS[units]) throw new Error('Unknown units ' + units);
+		this.settings.units=units;
+		if (this.owner && this.element && this.element.parentNode) {
+			this.owner.update(this);
+		}
+	},
+	
+	/**
+	 * @public
+	 * @methodOf nanomaps.ScaleControl.prototype
+	 * @name getUnits
+	 * @return {String}
+	 */
+	getUnits: function() {
+		return this.settings.units;
+	}
+};
+
+/**
+ * Update the bar and label of a ScaleControl element for the map's
+ * current scale.  Shares the settings object with its control.
+ * @private
+ */
+function refreshScaleControl(map, element) {
+	var settings=this.settings,
+		cssPrefix=settings.cssPrefix,
+		mapState=map.mapState,
+		units=SCALE_UNITS[settings.units],
+		lat=mapState.getGlbY(mapState.w/2, mapState.h/2),
+		metersPerPixel=mapState.res * Math.cos(lat*DEG_TO_RAD),
+		maxMeters=metersPerPixel * settings.maxWidth,
+		unit, distance, i;
+	
+	// Pick the largest unit that fits
+	for (i=0; i<units.length; i++) {
+		unit=units[i];
+		if (maxMeters>=unit[1]) break;
+	}
+	
+	distance=roundScaleDistance(maxMeters/unit[1]);
+	element.className='nmctl ' + cssPrefix + ' ' + cssPrefix + '-' + settings.units;
+	element.firstChild.style.width=Math.round(distance*unit[1]/metersPerPixel) + 'px';
+	element.lastChild.innerHTML=distance + ' ' + unit[0];
+}
+
+// Exports
+exports.ScaleControl=ScaleControl;
+exports.ZoomControl=ZoomControl;
+exports.PanControl=PanControl;
+exports.Compass=Compass;
+exports.AttributionControl=AttributionControl;
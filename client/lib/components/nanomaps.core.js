@@ -13,6 +13,8 @@ Core map display library.
  * <li>y - origin of the upper left corner of the map
  * <li>w - width of the map area
  * <li>h - height of the map area
+ * <li>rot - rotation of the map about the viewport center (radians clockwise).
+ *     This is the bearing of the top of the viewport.
  * </ul>
  * 
  * Representing this as a value object aids when dealing
@@ -41,6 +43,7 @@ function MapState(other) {
 		this.y=0;
 		this.w=0;
 		this.h=0;
+		this.rot=0;
 	}
 	
 	/**
@@ -71,7 +74,7 @@ MapState.prototype={
 			ret=1;
 		}
 		
-		if (this.prj!==other.prj || this.res!==other.res) {
+		if (this.prj!==other.prj || this.res!==other.res || this.rot!==other.rot) {
 			ret=2;
 		}
 		
@@ -92,6 +95,7 @@ MapState.prototype={
 		dest.h=this.h;
 		dest.prj=this.prj;
 		dest.res=this.res;
+		dest.rot=this.rot;
 	},
 	
 	/// -- Getters
@@ -104,10 +108,22 @@ MapState.prototype={
 		return this.prj.toLevel(this.res);
 	},
 	
+	/**
+	 * Get the bearing of the top of the viewport in degrees clockwise
+	 * from north, normalized to [0,360).
+	 * @public
+	 * @name getBearing
+	 * @methodOf nanomaps.MapState.prototype
+	 */
+	getBearing: function() {
+		var bearing=(this.rot * RAD_TO_DEG) % 360;
+		return bearing<0 ? bearing+360 : bearing;
+	},
+	
 	/**
 	 * Return the x-coordinate in display space of the given viewport
-	 * coordinates.  Note this function takes (x,y) as it is forward
-	 * designed to be able to represent orientation.
+	 * coordinates.  The viewport is rotated by rot about its center
+	 * relative to display space.
 	 * <p>
 	 * This value will be resolution pre-divided
 	 * @public
@@ -115,12 +131,16 @@ MapState.prototype={
 	 * @methodOf nanomaps.MapState.prototype
 	 */
 	getDspX: function(x,y) {
-		return this.x+x;
+		var rot=this.rot, cx, cy;
+		if (!rot) return this.x+x;
+		cx=this.w/2;
+		cy=this.h/2;
+		return this.x + cx + Math.cos(rot)*(x-cx) - Math.sin(rot)*(y-cy);
 	},
 	/**
 	 * Return the y-coordinate in display space of the given viewport
-	 * coordinates.  Note this function takes (x,y) as it is forward
-	 * designed to be able to represent orientation.
+	 * coordinates.  The viewport is rotated by rot about its center
+	 * relative to display space.
 	 * <p>
 	 * This value will be resolution pre-divided
 	 * @public
@@ -128,7 +148,11 @@ MapState.prototype={
 	 * @methodOf nanomaps.MapState.prototype
 	 */
 	getDspY: function(x,y) {
-		return this.y+y;
+		var rot=this.rot, cx, cy;
+		if (!rot) return this.y+y;
+		cx=this.w/2;
+		cy=this.h/2;
+		return this.y + cy + Math.sin(rot)*(x-cx) + Math.cos(rot)*(y-cy);
 	},
 	
 	/**
@@ -214,6 +238,56 @@ MapState.prototype={
 		return prjY / this.res;
 	},
 	
+	/**
+	 * Managed surfaces are laid out in display coordinates rotated
+	 * by -rot so that positions on them are invariant while panning.
+	 * Return the x-coordinate on a managed surface of the given display
+	 * coordinates.
+	 * @public
+	 * @name dspToSfcX
+	 * @methodOf nanomaps.MapState.prototype
+	 */
+	dspToSfcX: function(dspX, dspY) {
+		var rot=this.rot;
+		if (!rot) return dspX;
+		return Math.cos(rot)*dspX + Math.sin(rot)*dspY;
+	},
+	
+	/**
+	 * Return the y-coordinate on a managed surface of the given display
+	 * coordinates.
+	 * @public
+	 * @name dspToSfcY
+	 * @methodOf nanomaps.MapState.prototype
+	 */
+	dspToSfcY: function(dspX, dspY) {
+		var rot=this.rot;
+		if (!rot) return dspY;
+		return Math.cos(rot)*dspY - Math.sin(rot)*dspX;
+	},
+	
+	/**
+	 * Return the left offset of managed surfaces relative to the viewport.
+	 * @public
+	 * @name getSfcLeft
+	 * @methodOf nanomaps.MapState.prototype
+	 */
+	getSfcLeft: function() {
+		var cx=this.w/2, cy=this.h/2;
+		return cx - this.dspToSfcX(this.x+cx, this.y+cy);
+	},
+	
+	/**
+	 * Return the top offset of managed surfaces relative to the viewport.
+	 * @public
+	 * @name getSfcTop
+	 * @methodOf nanomaps.MapState.prototype
+	 */
+	getSfcTop: function() {
+		var cx=this.w/2, cy=this.h/2;
+		return cy - this.dspToSfcY(this.x+cx, this.y+cy);
+	},
+	
 	/// -- Setters
 	/**
 	 * @public
@@ -237,14 +311,37 @@ MapState.prototype={
 		this.setRes(this.prj.fromLevel(level), x, y);
 	},
 	
+	/**
+	 * Set the rotation (radians clockwise), preserving the display
+	 * position of viewport coordinates (x,y).
+	 * @public
+	 * @name setRot
+	 * @methodOf nanomaps.MapState.prototype
+	 */
+	setRot: function(rot, x, y) {
+		if (rot!==this.rot) {
+			var dspX=this.getDspX(x,y), dspY=this.getDspY(x,y);
+			this.rot=rot;
+			this.setDspXY(dspX, dspY, x, y);
+		}
+	},
+	
 	/**
 	 * @public
 	 * @name setDspXY
 	 * @methodOf nanomaps.MapState.prototype
 	 */
 	setDspXY: function(dspX, dspY, x, y) {
-		this.x=dspX-x;
-		this.y=dspY-y;
+		var rot=this.rot, cx, cy;
+		if (!rot) {
+			this.x=dspX-x;
+			this.y=dspY-y;
+		} else {
+			cx=this.w/2;
+			cy=this.h/2;
+			this.x=dspX - cx - Math.cos(rot)*(x-cx) + Math.sin(rot)*(y-cy);
+			this.y=dspY - cy - Math.sin(rot)*(x-cx) - Math.cos(rot)*(y-cy);
+		}
 	},
 	
 	/**
@@ -271,6 +368,69 @@ MapState.prototype={
 };
 
 
+/**
+ * MapStateEvent instances are passed to listeners of the view
+ * change events raised by a MapSurface:
+ * <ul>
+ * <li>'movestart': A change to the displayed MapState is starting.  This
+ * precedes every other event below.
+ * <li>'move': The displayed MapState has changed.  Raised for each
+ * frame of an animation.
+ * <li>'moveend': The change is complete.
+ * <li>'zoomstart', 'zoom', 'zoomend': As above but only raised
+ * when the resolution is changing.
+ * <li>'resize': The width or height of the map has changed.
+ * <li>'commit': A transaction with changes has been committed and is
+ * about to be displayed (immediately or by animation).  Raised before
+ * 'movestart'.
+ * </ul>
+ * A transition that is interrupted by another commit is continued
+ * rather than ended, so start and end events always balance.
+ *
+ * @public
+ * @constructor
+ * @name nanomaps.MapStateEvent
+ */
+function MapStateEvent(type, oldState, newState, finalState) {
+	/**
+	 * The event name
+	 * @name type
+	 * @memberOf nanomaps.MapStateEvent#
+	 */
+	this.type=type;
+	
+	/**
+	 * For start and end events, the MapState displayed at the start of
+	 * the transition.  Otherwise, the MapState displayed before this change.
+	 * @name oldState
+	 * @memberOf nanomaps.MapStateEvent#
+	 */
+	this.oldState=oldState;
+	
+	/**
+	 * For start events, the MapState being transitioned to.  Otherwise,
+	 * the MapState now displayed.
+	 * @name newState
+	 * @memberOf nanomaps.MapStateEvent#
+	 */
+	this.newState=newState;
+	
+	/**
+	 * If the change is animated, the MapState that the animation
+	 * will finish on.  Otherwise null.
+	 * @name finalState
+	 * @memberOf nanomaps.MapStateEvent#
+	 */
+	this.finalState=finalState;
+	
+	/**
+	 * For 'commit' events, the animate argument passed to commit().
+	 * @name animate
+	 * @memberOf nanomaps.MapStateEvent#
+	 */
+	this.animate=false;
+}
+
 /**
  * Initialize an existing DOM element as a map.  All internal map structures
  * are added before any existing content in the element.
@@ -278,7 +438,19 @@ MapState.prototype={
  * <h2>Sizing</h2>
  * The map size must be explicitly maintained.  If not specified, then the natural
  * size of the containing element is used.  If this natural size ever changes,
- * setSize() must be called to reset it.
+ * setSize() must be called to reset it or the autoResize option enabled.
+ *
+ * <h2>Events</h2>
+ * Changes to the displayed MapState raise 'commit', 'movestart', 'move', 'moveend',
+ * 'zoomstart', 'zoom', 'zoomend' and 'resize' events, each with a
+ * MapStateEvent.  Gestures raise 'motion.*' events (see MotionEvent).
+ * A commit without animation raises its events before it returns, except
+ * while a drag or pinch is in progress.  The commits of a gesture are
+ * displayed, and their events raised, once per display frame (see
+ * nanomaps.requestFrame).  Animated commits raise 'move' and 'zoom' for
+ * each frame and the end events when the animation finishes.
+ * Adding and removing content raises 'attach' and 'detach' events and showing
+ * or hiding it raises 'visibility' (see attach and setAttachmentVisible).
  * 
  * @example
  * var map=new nanomaps.MapSurface(someElement);
@@ -294,6 +466,23 @@ MapState.prototype={
  * @param {number} [options.resolution] Initial resolution
  * @param {Projection} [options.projection=new nanomaps.WebMercatorProjection()] Map projection 
  * @param {LatLngObject} [options.center] Initial center of the map
+ * @param {nanomaps.Bounds} [options.maxBounds] Global bounds that the viewport may not leave
+ * @param {number} [options.minZoom] Minimum zoom level (in addition to the projection minimum)
+ * @param {number} [options.maxZoom] Maximum zoom level (in addition to the projection maximum)
+ * @param {boolean} [options.bounceBack=false] Let drags pull past maxBounds and animate back on release
+ * @param {boolean} [options.wrap=false] Repeat the world horizontally across the antimeridian
+ * @param {boolean} [options.autoResize=false] Track the size of the container (see setAutoResize)
+ * @param {Object} [options.resizeAnchor] Anchor point kept fixed by autoResize (see setAutoResize)
+ * @param {boolean} [options.observe=false] Collect geo referenced elements added to the container later (see collect)
+ * @param {boolean} [options.noClick=false] Ignore mouse gestures
+ * @param {boolean} [options.noTouch=false] Ignore touch gestures
+ * @param {boolean} [options.noWheel=false] Ignore the mouse wheel
+ * @param {boolean} [options.wheelSnap=false] Only zoom to integral levels with the mouse wheel
+ * @param {boolean} [options.noBoxZoom=false] Treat shift+drag as a normal drag instead of zooming to a box
+ * @param {boolean} [options.noKinetic=false] Stop dead at the end of a drag instead of gliding
+ * @param {boolean} [options.touchRotate=false] Let a two finger twist rotate the map
+ * @param {boolean} [options.noKeyboard=false] Ignore the keyboard (see setKeyboardEnabled)
+ * @param {number} [options.keyboardPanStep=100] Pixels to pan per arrow key press
  */
 function MapSurface(elt, options) {
 	if (!options) options={};
@@ -317,6 +506,7 @@ function MapSurface(elt, options) {
 	this.createElement=createElement;
 	this._layers=[];
 	this._surfaces=[];
+	this._attachments={};
 	
 	// Hardcode some important styles
 	elt.nmt='parent';
@@ -351,11 +541,21 @@ function MapSurface(elt, options) {
 	mapState.prj=options.projection||new Projections.WebMercator();
 	mapState.res=options.resolution||mapState.prj.DEFAULT_RESOLUTION;
 	this._zoomBias=options.zoomBias||0;
+	this._wrap=!!options.wrap;
+	this._wrapRef=0;
 	
 	// Pending mapState
 	this._pendMapState=new MapState(mapState);
 	this._pendLock=0;
+	this._savepoints=[];
 	this._pendAnim=null;
+	this._pendElastic=false;
+	this._pendBurst=false;
+	this._invFrame=null;
+	this._invFull=false;
+	this._lastState=new MapState(mapState);
+	this._moveStart=null;
+	this._zoomStart=null;
 	
 	// Fixed size or autosize
 	if (typeof width!=='number' || typeof height!=='number') {
@@ -367,11 +567,15 @@ function MapSurface(elt, options) {
 		this.setSize(width, height);
 	}
 	
+	// Constraints applied to the pending mapState on commit.  Applied
+	// once the size is known since maxBounds depends on it.
+	this.setConstraints(options);
+	
 	// Initialization hook
 	this.initialize(options);
 	
 	// Collect loose content
-	this.collect();
+	this.collect(options.observe);
 }
 var MapSurfaceMethods=MapSurface.prototype=new EventEmitter();
 
@@ -390,21 +594,60 @@ function optionalY(map, y) {
 }
 
 /**
- * Clamp the given zoom level to the valid range
+ * Clamp the given zoom level to the valid range.  This is the intersection
+ * of the projection's range and the map's minZoom/maxZoom constraints.
  */
 function clampZoom(map, level) {
-	var prj=map.mapState.prj;
+	var prj=map.mapState.prj,
+		minLevel=prj.MIN_LEVEL,
+		maxLevel=prj.MAX_LEVEL;
 	level=Number(level);
 	
+	if (typeof map._minZoom==='number') minLevel=Math.max(minLevel, map._minZoom+map._zoomBias);
+	if (typeof map._maxZoom==='number') maxLevel=Math.min(maxLevel, map._maxZoom+map._zoomBias);
+	
 	// Not much to do here - but letting an NaN in is like inviting
 	// a vampire into your house
-	if (isNaN(level)) level=prj.MAX_LEVEL;
+	if (isNaN(level)) level=maxLevel;
 	
-	if (level<prj.MIN_LEVEL) level=prj.MIN_LEVEL;
-	else if (level>prj.MAX_LEVEL) level=prj.MAX_LEVEL;
+	if (level<minLevel) level=minLevel;
+	else if (level>maxLevel) level=maxLevel;
 	return level;
 }
 
+/**
+ * If the map wraps horizontally, return the copy of prjX that is
+ * nearest to nearPrjX.  Otherwise, return prjX unchanged.
+ */
+function wrapPrjX(map, prj, prjX, nearPrjX) {
+	if (!map._wrap) return prjX;
+	var extent=prj.PRJ_EXTENT, width=extent.maxx-extent.minx;
+	return prjX + Math.round((nearPrjX-prjX)/width)*width;
+}
+
+/**
+ * If the map wraps horizontally, normalize glbX to the projection's
+ * global extent.  Otherwise, return glbX unchanged.
+ */
+function wrapGlbX(map, prj, glbX) {
+	if (!map._wrap) return glbX;
+	var extent=prj.GLB_EXTENT, width=extent.maxx-extent.minx;
+	glbX=(glbX-extent.minx) % width;
+	if (glbX<0) glbX+=width;
+	return glbX+extent.minx;
+}
+
+/**
+ * Return the offset needed to move the span [min,max] within [bmin,bmax].
+ * If the span does not fit, it is centered.
+ */
+function constrainSpan(min, max, bmin, bmax) {
+	if ((max-min)>(bmax-bmin)) return (bmin+bmax)/2 - (min+max)/2;
+	if (min<bmin) return bmin-min;
+	if (max>bmax) return bmax-max;
+	return 0;
+}
+
 var LAYER_NAMES={
 	BACKGROUND: 0,
 	MAP: 10,
@@ -425,22 +668,41 @@ function layerIndexToOrdinal(index) {
 	return ordinal;
 }
 
-function makeMapStateFramer(map, initialMapState, finalMapState) {
+/**
+ * Shared plumbing of the animation framers.  Rotation and size are
+ * interpolated linearly.  For each frame, interpolate(pct, result) fills
+ * result.res with the resolution and result.u with the fraction of the way
+ * from the initial to the final position of the anchor (default center).
+ * @private
+ */
+function makeFramer(map, initialMapState, finalMapState, anchor, interpolate) {
 	// Copy mapStates (the references we are given are "live")
-	// and record strides
-	var resStride=finalMapState.res - initialMapState.res,
-		xInitial=initialMapState.getPrjX(0,0),
-		yInitial=initialMapState.getPrjY(0,0),
-		xStride=finalMapState.getPrjX(0,0) - xInitial,
-		yStride=finalMapState.getPrjY(0,0) - yInitial,
+	// and record strides.  Position is interpolated about the
+	// viewport center (or the anchor) so that rotation does not
+	// swing the map and zooming holds the anchor still.
+	var aix=anchor ? anchor.x : initialMapState.w/2,
+		aiy=anchor ? anchor.y : initialMapState.h/2,
+		afx=anchor ? anchor.x : finalMapState.w/2,
+		afy=anchor ? anchor.y : finalMapState.h/2,
+		rotStride=finalMapState.rot - initialMapState.rot,
+		xInitial=initialMapState.getPrjX(aix,aiy),
+		yInitial=initialMapState.getPrjY(aix,aiy),
+		xStride=finalMapState.getPrjX(afx,afy) - xInitial,
+		yStride=finalMapState.getPrjY(afx,afy) - yInitial,
 		wStride=finalMapState.w - initialMapState.w,
-		hStride=finalMapState.h - initialMapState.h;
+		hStride=finalMapState.h - initialMapState.h,
+		point={},
+		updateMapState;
+	
+	// Always rotate the short way around
+	rotStride=rotStride % (2*Math.PI);
+	if (rotStride>Math.PI) rotStride-=2*Math.PI;
+	else if (rotStride<-Math.PI) rotStride+=2*Math.PI;
+	
 	initialMapState=new MapState(initialMapState);
 	finalMapState=new MapState(finalMapState);
 	updateMapState=new MapState(initialMapState);
 	
-	//console.log('Animation framer: resStride=' + resStride + ', xStride=' + xStride + ', yStride=' + yStride + ', wStride=' + wStride + ', hStride=' + hStride);
-	
 	return function(n, xy, isFinal) {
 		var pct=xy[0], changeLevel;
 		if (isFinal) {
@@ -449,10 +711,14 @@ function makeMapStateFramer(map, initialMapState, finalMapState) {
 			map.mapState.finalState=null;
 		} else {
 			//console.log('Anim frame ' + pct);
-			updateMapState.res=initialMapState.res + pct * resStride;
-			updateMapState.setPrjXY(xInitial + pct * xStride, yInitial + pct * yStride, 0, 0);
+			interpolate(pct, point);
+			updateMapState.res=point.res;
+			updateMapState.rot=initialMapState.rot + pct * rotStride;
 			updateMapState.w=initialMapState.w + pct * wStride;
 			updateMapState.h=initialMapState.h + pct * hStride;
+			updateMapState.setPrjXY(xInitial + point.u * xStride, yInitial + point.u * yStride, 
+				anchor ? anchor.x : updateMapState.w/2, 
+				anchor ? anchor.y : updateMapState.h/2);
 		}
 		
 		changeLevel=updateMapState.compare(map.mapState);
@@ -460,9 +726,113 @@ function makeMapStateFramer(map, initialMapState, finalMapState) {
 			updateMapState.copy(map.mapState);
 			map._invalidate(changeLevel>1);
 		}
+		if (isFinal) map._endTransition();
 	};
 }
 
+/**
+ * Framer that interpolates everything linearly
+ * @private
+ */
+function makeMapStateFramer(map, initialMapState, finalMapState, anchor) {
+	var res=initialMapState.res,
+		resStride=finalMapState.res - res;
+	return makeFramer(map, initialMapState, finalMapState, anchor, function(pct, result) {
+		result.res=res + pct * resStride;
+		result.u=pct;
+	});
+}
+
+/**
+ * Default van Wijk curvature (rho).  This is the value found to be the
+ * most pleasing in user studies in the original paper.
+ * @private
+ */
+var FLY_DEFAULT_CURVATURE=1.42,
+	FLY_DEFAULT_SPEED=1.2;
+
+/**
+ * Compute the optimal zoom/pan path between two map states following
+ * "Smooth and efficient zooming and panning" (van Wijk and Nuij, 2003).
+ * The returned object has a length S (in units of the van Wijk metric)
+ * and a function at(s, result) that fills result.u with the fraction of the
+ * center to center distance travelled and result.scale with the ratio of
+ * the viewport size at s to the initial viewport size.
+ * @private
+ */
+function makeFlyPath(initialMapState, finalMapState, rho) {
+	var rho2=rho*rho,
+		size=Math.max(initialMapState.w, initialMapState.h),
+		w0=size*initialMapState.res,
+		w1=size*finalMapState.res,
+		dx=finalMapState.getPrjX(finalMapState.w/2,finalMapState.h/2) -
+			initialMapState.getPrjX(initialMapState.w/2,initialMapState.h/2),
+		dy=finalMapState.getPrjY(finalMapState.w/2,finalMapState.h/2) -
+			initialMapState.getPrjY(initialMapState.w/2,initialMapState.h/2),
+		u1=Math.sqrt(dx*dx + dy*dy),
+		b0, b1, r0, r1, coshR0, sinhR0, k;
+	
+	function r(b) {
+		return Math.log(Math.sqrt(b*b+1) - b);
+	}
+	
+	if (u1/w0<1e-6) {
+		// Pure zoom.  The general solution is singular here.
+		k=w1<w0 ? -1 : 1;
+		return {
+			S: Math.abs(Math.log(w1/w0))/rho,
+			at: function(s, result) {
+				result.u=1;
+				result.scale=Math.exp(k*rho*s);
+				return result;
+			}
+		};
+	}
+	
+	b0=(w1*w1 - w0*w0 + rho2*rho2*u1*u1) / (2*w0*rho2*u1);
+	b1=(w1*w1 - w0*w0 - rho2*rho2*u1*u1) / (2*w1*rho2*u1);
+	r0=r(b0);
+	r1=r(b1);
+	coshR0=cosh(r0);
+	sinhR0=sinh(r0);
+	
+	return {
+		S: (r1-r0)/rho,
+		at: function(s, result) {
+			var rs=rho*s + r0;
+			result.u=w0/rho2 * (coshR0*tanh(rs) - sinhR0) / u1;
+			result.scale=coshR0/cosh(rs);
+			return result;
+		}
+	};
+}
+
+function cosh(x) {
+	return (Math.exp(x) + Math.exp(-x))/2;
+}
+function sinh(x) {
+	return (Math.exp(x) - Math.exp(-x))/2;
+}
+function tanh(x) {
+	var e=Math.exp(2*x);
+	return isFinite(e) ? (e-1)/(e+1) : 1;
+}
+
+/**
+ * Like makeMapStateFramer but moves along a van Wijk path, zooming out
+ * and back in so that a long jump stays legible.
+ * @private
+ */
+function makeFlyFramer(map, initialMapState, finalMapState, path) {
+	var res=initialMapState.res,
+		point={};
+	return makeFramer(map, initialMapState, finalMapState, null, function(pct, result) {
+		path.at(pct*path.S, point);
+		result.res=res * point.scale;
+		result.u=point.u;
+	});
+}
+
 /**
  * Begin a series of mapState changes including changes to position, size,
  * resolution and projection.  Calling this method increments an internal
@@ -470,45 +840,91 @@ function makeMapStateFramer(map, initialMapState, finalMapState) {
  * map state take effect immediately.  If it is >0 (as is the case after a
  * call to begin), then the changes are "batched" up until a later call
  * to commit or rollback.
+ * <p>
+ * Each call to begin also records a savepoint of the pending state.  The
+ * returned token can be passed to rollback() to undo changes made since
+ * this call without disturbing the enclosing transaction.
+ * <pre>
+ * 	map.begin();
+ * 	map.setZoom(12);
+ * 	var savepoint=map.begin();
+ * 	try {
+ * 		riskyGestureStep();
+ * 		map.commit();
+ * 	} catch (e) {
+ * 		map.rollback(savepoint);	// zoom is still pending
+ * 	}
+ * 	map.commit(true);
+ * </pre>
  *
  * @public
  * @methodOf nanomaps.MapSurface.prototype
  * @name begin
- * @return true if this starts a new transaction and false if it just incremented
- * the lock count on an already started transaction
+ * @return {Number} savepoint token.  This is the nesting depth of the transaction
+ * and is 1 if this call started a new transaction.
  */
 MapSurfaceMethods.begin=function() {
-	return this._pendLock++ === 0;
+	this._savepoints.push(new MapState(this._pendMapState));
+	return ++this._pendLock;
 };
 
 /**
- * Rolls back all pending map state changes made since the first begin().  Note that
- * nested rollbacks (ie. savepoints in SQL parlance) are not supported.  Rollback 
- * resets the entire transaction.  Future calls to commit will have no effect since
- * the transaction lock will be zero.
+ * Rolls back pending map state changes.
+ * <p>
+ * If a savepoint token returned from begin() is given, then changes made since
+ * that call are discarded and the transaction it started (and any nested within
+ * it) is closed.  Enclosing transactions remain open.
+ * <p>
+ * Without a token, the entire transaction is reset to the displayed state.
+ * Future calls to commit will have no effect since the transaction lock will be zero.
  *
  * @public
  * @methodOf nanomaps.MapSurface.prototype
  * @name rollback
+ * @param [savepoint] {Number} token returned from begin()
+ * @return true if anything was rolled back
  */
-MapSurfaceMethods.rollback=function() {
-	// Copy back from the display mapState
-	this.mapState.copy(this._pendMapState);
-	this._pendLock=0;
+MapSurfaceMethods.rollback=function(savepoint) {
+	var savepoints=this._savepoints;
+	if (savepoint===undefined || savepoint===null) {
+		// Copy back from the display mapState
+		this.mapState.copy(this._pendMapState);
+		this._pendLock=0;
+		this._pendBurst=this._pendElastic=false;
+		savepoints.length=0;
+		return true;
+	}
+	
+	savepoint=Number(savepoint);
+	if (!(savepoint>=1 && savepoint<=this._pendLock)) return false;
+	
+	savepoints[savepoint-1].copy(this._pendMapState);
+	this._pendLock=savepoint-1;
+	if (!this._pendLock) this._pendBurst=this._pendElastic=false;
+	savepoints.length=this._pendLock;
+	return true;
 };
 
 /**
  * Commit a pending transaction, optionally animating between the current display
- * state and changes introduced in the transaction.  Passing any true value as the
- * animate parameter will enable animation.  If passing a non-null object, then it
- * will be taken as animation parameters and will be passed through unchanged to the
- * Animation() constructor.  The following animation options are settable:
+ * state and changes introduced in the transaction.  Without animation, the mapState
+ * is updated, attachments are repositioned and the move/zoom events are raised
+ * before commit returns.  Passing any true value as the animate parameter will
+ * enable animation.  If passing a non-null object, then it will be taken as
+ * animation parameters and will be passed through unchanged to the Animation()
+ * constructor.  The following animation options are settable:
  * <ul>
- * <li>curve: An animation curve function such as one produced by MakeBezierCurve(x1,y1,x2,y2).
- * Defaults to a bezier curve with a pronounced tail acceleration
+ * <li>curve: An animation curve function such as one produced by MakeBezierCurve(x1,y1,x2,y2)
+ * or the name of a preset in nanomaps.Easing.  Defaults to a bezier curve with a pronounced
+ * tail acceleration
  * <li>duration: Duration in seconds.  Default to 0.5.
- * <li>rate: Frame rate in frames/s.  Default=20 but may be automatically adjusted based on platform 
- * or previous preformance.
+ * <li>rate: Maximum frame rate in frames/s.  Default is the display frame rate.
+ * <li>fly: If true, follow a path that zooms out and back in rather than
+ * interpolating linearly.  See flyTo for this and the speed and curvature options.
+ * When flying, duration defaults to a value computed from the length of the path.
+ * <li>anchor: Viewport point {x:, y:} to animate about instead of the center.  When
+ * zooming about a point (ie. setZoom(level, x, y)), passing the same point keeps it
+ * still for the whole animation.
  * </ul>
  * @public
  * @methodOf nanomaps.MapSurface.prototype
@@ -518,16 +934,30 @@ MapSurfaceMethods.rollback=function() {
  * did nothing
  */
 MapSurfaceMethods.commit=function(animate) {
-	if (this._pendLock<=0 || --this._pendLock>0) return false;
+	if (this._pendLock<=0) return false;
+	this._savepoints.length=--this._pendLock;
+	if (this._pendLock>0) return false;
 	
 	// Let's do it
 	var pendMapState=this._pendMapState,
 		mapState=this.mapState,
-		animOptions;
-		
-	var changeLevel=pendMapState.compare(mapState);
+		burst=this._pendBurst,
+		elastic=this._pendElastic,
+		animOptions,
+		framer,
+		path;
+	
+	this._pendBurst=this._pendElastic=false;
+	this._constrain(pendMapState, elastic);
+	
+	var changeLevel=pendMapState.compare(mapState), commitEvent;
 	if (changeLevel>0) {
 		// Something changed
+		commitEvent=new MapStateEvent('commit', new MapState(mapState), new MapState(pendMapState), 
+			animate ? new MapState(pendMapState) : null);
+		commitEvent.animate=animate||false;
+		this.emit('commit', commitEvent);
+		
 		// Interrupt any pending animation
 		if (this._pendAnim) {
 			this._pendAnim.interrupt();
@@ -535,15 +965,34 @@ MapSurfaceMethods.commit=function(animate) {
 			mapState.finalState=null;
 		}
 		
+		// An animation starts from what is actually on screen
+		if (animate) this._flushInvalidate();
+		
+		this._beginTransition(pendMapState, !!animate);
 		if (!animate) {
-			// Directly update
+			// Directly update.  For a burst of commits (ie. from a drag),
+			// the display catches up on the next frame so that the burst
+			// costs one redraw.
 			pendMapState.copy(mapState);
-			this._invalidate(changeLevel>1);
+			this._invalidateLater(changeLevel>1);
+			if (!burst) this._flushInvalidate();
 		} else {
 			// Start an animation
 			if (typeof animate==='object') animOptions=animate;
+			if (animOptions && animOptions.fly) {
+				path=makeFlyPath(mapState, pendMapState, animOptions.curvature||FLY_DEFAULT_CURVATURE);
+				framer=makeFlyFramer(this, mapState, pendMapState, path);
+				animOptions={
+					curve: animOptions.curve,
+					rate: animOptions.rate,
+					duration: animOptions.duration || 
+						Math.max(path.S/(animOptions.speed||FLY_DEFAULT_SPEED), 0.1)
+				};
+			} else {
+				framer=makeMapStateFramer(this, mapState, pendMapState, animOptions && animOptions.anchor);
+			}
 			mapState.finalState=new MapState(pendMapState);
-			this._pendAnim=new Animation(makeMapStateFramer(this, mapState, pendMapState), animOptions);
+			this._pendAnim=new Animation(framer, animOptions);
 			this._pendAnim.start();
 		}
 	}
@@ -551,6 +1000,183 @@ MapSurfaceMethods.commit=function(animate) {
 	return true;
 };
 
+/**
+ * Arrange for _invalidate to be called on the next frame, merging
+ * multiple requests into one, and then end the transition.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _invalidateLater
+ */
+MapSurfaceMethods._invalidateLater=function(full) {
+	var self=this;
+	this._invFull=this._invFull || full;
+	if (!this._invFrame) {
+		this._invFrame=function() {
+			self._flushInvalidate();
+		};
+		requestFrame(this._invFrame);
+	}
+};
+
+/**
+ * Perform any invalidation scheduled by _invalidateLater now.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _flushInvalidate
+ */
+MapSurfaceMethods._flushInvalidate=function() {
+	var frame=this._invFrame, full=this._invFull;
+	if (!frame) return;
+	cancelFrame(frame);
+	this._invFrame=null;
+	this._invFull=false;
+	
+	this._invalidate(full);
+	this._endTransition();
+};
+
+/**
+ * Stop any animated transition in progress, leaving the map where it is
+ * currently displayed rather than jumping to where the animation was
+ * headed.  This is what happens when a moving map is grabbed by a new
+ * touch or click.  Does nothing if no animation is running.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name stop
+ * @return true if an animation was stopped
+ */
+MapSurfaceMethods.stop=function() {
+	if (!this._pendAnim) return false;
+	
+	this._pendAnim.interrupt();
+	this._pendAnim=null;
+	this.mapState.finalState=null;
+	if (this._pendLock<=0) this.mapState.copy(this._pendMapState);
+	
+	// Let peers know that the final state is gone
+	this._invalidate(true);
+	this._endTransition();
+	return true;
+};
+
+/**
+ * Emit the 'movestart' and (if the resolution is changing) 'zoomstart'
+ * events for a transition from the display state to targetState.  If a
+ * transition is already in progress (ie. an interrupted animation), it
+ * is continued instead and 'movestart' is not emitted again.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _beginTransition
+ */
+MapSurfaceMethods._beginTransition=function(targetState, animating) {
+	var mapState=this.mapState,
+		finalState=animating ? new MapState(targetState) : null;
+	
+	if (!this._moveStart) {
+		this._moveStart=new MapState(mapState);
+		this.emit('movestart', new MapStateEvent('movestart', this._moveStart, new MapState(targetState), finalState));
+	}
+	if (!this._zoomStart && targetState.res!==mapState.res) {
+		this._zoomStart=new MapState(mapState);
+		this.emit('zoomstart', new MapStateEvent('zoomstart', this._zoomStart, new MapState(targetState), finalState));
+	}
+};
+
+/**
+ * Emit the 'zoomend' and 'moveend' events for the transition in progress.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _endTransition
+ */
+MapSurfaceMethods._endTransition=function() {
+	var moveStart=this._moveStart,
+		zoomStart=this._zoomStart,
+		mapState=this.mapState;
+	this._moveStart=null;
+	this._zoomStart=null;
+	
+	if (zoomStart) this.emit('zoomend', new MapStateEvent('zoomend', zoomStart, new MapState(mapState), null));
+	if (moveStart) this.emit('moveend', new MapStateEvent('moveend', moveStart, new MapState(mapState), null));
+};
+
+/**
+ * Apply the map's zoom and maxBounds constraints to the given mapState.
+ * The position is adjusted so that the bounding box of the viewport lies
+ * within maxBounds, or is centered on it if it does not fit.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _constrain
+ * @param mapState {MapState} state to modify in place
+ * @param noPosition {boolean} if true, only constrain the zoom level
+ * @return true if the mapState was changed
+ */
+MapSurfaceMethods._constrain=function(mapState, noPosition) {
+	var prj=mapState.prj,
+		maxBounds=this._maxBounds,
+		glbExtent=prj.GLB_EXTENT,
+		w=mapState.w, h=mapState.h,
+		level=mapState.getZoom(),
+		clampedLevel=clampZoom(this, level),
+		changed=false,
+		xs, ys, dx, dy;
+	
+	if (clampedLevel!==level) {
+		mapState.setZoom(clampedLevel, w/2, h/2);
+		changed=true;
+	}
+	
+	if (maxBounds && !noPosition) {
+		xs=[mapState.getPrjX(0,0), mapState.getPrjX(w,0), mapState.getPrjX(0,h), mapState.getPrjX(w,h)];
+		ys=[mapState.getPrjY(0,0), mapState.getPrjY(w,0), mapState.getPrjY(0,h), mapState.getPrjY(w,h)];
+		dx=constrainSpan(Math.min.apply(Math, xs), Math.max.apply(Math, xs),
+			prj.fwdX(Math.max(maxBounds.minx, glbExtent.minx)),
+			prj.fwdX(Math.min(maxBounds.maxx, glbExtent.maxx)));
+		dy=constrainSpan(Math.min.apply(Math, ys), Math.max.apply(Math, ys),
+			prj.fwdY(Math.max(maxBounds.miny, glbExtent.miny)),
+			prj.fwdY(Math.min(maxBounds.maxy, glbExtent.maxy)));
+		
+		// Ignore rounding noise from previous adjustments
+		if (Math.abs(dx)<mapState.res/1000) dx=0;
+		if (Math.abs(dy)<mapState.res/1000) dy=0;
+		if (dx || dy) {
+			mapState.setPrjXY(mapState.getPrjX(w/2,h/2)+dx, mapState.getPrjY(w/2,h/2)+dy, w/2, h/2);
+			changed=true;
+		}
+	}
+	
+	return changed;
+};
+
+/**
+ * Change the constraints applied to the map.  Any constraint not given is
+ * removed.  The current view is immediately brought within the new
+ * constraints.
+ * <ul>
+ * <li>maxBounds: Global bounds that the viewport may not leave.  Pass
+ * map.mapState.prj.GLB_EXTENT to keep from showing anything past the
+ * edge of the world.
+ * <li>minZoom: Minimum zoom level
+ * <li>maxZoom: Maximum zoom level
+ * <li>bounceBack: If true, drags and pinches may pull the map past maxBounds
+ * with some resistance and it will animate back when released.
+ * </ul>
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name setConstraints
+ * @param options {Object}
+ */
+MapSurfaceMethods.setConstraints=function(options) {
+	if (!options) options={};
+	this._maxBounds=options.maxBounds||null;
+	this._minZoom=options.minZoom===undefined||options.minZoom===null ? undefined : Number(options.minZoom);
+	this._maxZoom=options.maxZoom===undefined||options.maxZoom===null ? undefined : Number(options.maxZoom);
+	this._bounceBack=!!options.bounceBack;
+	
+	this.begin();
+	this.commit();
+};
+
 /**
  * Forcefully commits the current transaction regardless of
  * the number of outstanding begins.
@@ -673,8 +1299,8 @@ MapSurfaceMethods.surface=function(index) {
 	surface.nmt='surface';
 	surface.className='managed';	// To make it obvious in inspector - not used otherwise
 	surface.style.position='absolute';
-	surface.style.left=(-mapState.x) + 'px';
-	surface.style.top=(-mapState.y) + 'px';
+	surface.style.left=mapState.getSfcLeft() + 'px';
+	surface.style.top=mapState.getSfcTop() + 'px';
 	surfaces.push(surface);
 	
 	// Add to layer
@@ -695,6 +1321,30 @@ MapSurfaceMethods.getZoom=function() {
 	return this._pendMapState.getZoom()-this._zoomBias;
 };
 
+/**
+ * Get the lowest zoom level the map can be set to.  This takes the
+ * projection and the minZoom constraint into account.
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name getMinZoom
+ * @return {Number}
+ */
+MapSurfaceMethods.getMinZoom=function() {
+	return clampZoom(this, -Infinity)-this._zoomBias;
+};
+
+/**
+ * Get the highest zoom level the map can be set to.  This takes the
+ * projection and the maxZoom constraint into account.
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name getMaxZoom
+ * @return {Number}
+ */
+MapSurfaceMethods.getMaxZoom=function() {
+	return clampZoom(this, Infinity)-this._zoomBias;
+};
+
 /**
  * Set the map zoom level, optionally preserving the display position
  * of the given viewport coordinates.
@@ -742,6 +1392,43 @@ MapSurfaceMethods.zoomOut=function(x,y) {
 	this.setZoom(Math.round(this.getZoom()-1), x, y);
 },
 
+/**
+ * Get the current bearing of the map.  This is the compass direction
+ * that the top of the viewport faces.
+ * @public
+ * @name getBearing
+ * @methodOf nanomaps.MapSurface.prototype
+ * @return {Number} bearing in degrees clockwise from north [0,360)
+ */
+MapSurfaceMethods.getBearing=function() {
+	return this._pendMapState.getBearing();
+};
+
+/**
+ * Rotate the map so that the top of the viewport faces the given bearing,
+ * optionally preserving the display position of the given viewport
+ * coordinates.  Like other state changes, this can be batched in
+ * begin()/commit() and animated.
+ * <pre>
+ * 	map.begin();
+ * 	map.setBearing(vehicle.heading);
+ * 	map.commit(true);
+ * </pre>
+ * @public
+ * @name setBearing
+ * @methodOf nanomaps.MapSurface.prototype
+ * @param bearing {Number} degrees clockwise from north
+ * @param x {Number||undefined} x viewport coordinate to preserve (default=center)
+ * @param y {Number||undefined} y viewport coordinate to preserve (default=center)
+ */
+MapSurfaceMethods.setBearing=function(bearing, x, y) {
+	bearing=Number(bearing)%360;
+	if (isNaN(bearing)) return;
+	this.begin();
+	this._pendMapState.setRot(bearing * DEG_TO_RAD, optionalX(this,x), optionalY(this,y));
+	this.commit();
+};
+
 /**
  * Gets the global location as a Coordinate object at the given
  * viewport coordinates.  If coordinates are ommitted/undefined,
@@ -758,8 +1445,8 @@ MapSurfaceMethods.getLocation=function(x,y) {
 	x=optionalX(this,x);
 	y=optionalY(this,y);
 	return Coordinate.xy(
-		mapState.getGlbX(x,y),
-		mapState.getGlbY(y,y)
+		wrapGlbX(this, mapState.prj, mapState.getGlbX(x,y)),
+		mapState.getGlbY(x,y)
 	);
 };
 
@@ -777,12 +1464,154 @@ MapSurfaceMethods.getLocation=function(x,y) {
  * @param y viewport coordinate to set location relative to
  */
 MapSurfaceMethods.setLocation=function(globalCoord, x, y) {
+	var mapState=this._pendMapState,
+		prj=mapState.prj,
+		prjX;
 	globalCoord=Coordinate.from(globalCoord);
+	x=optionalX(this,x);
+	y=optionalY(this,y);
+	
+	// If wrapping, go to the copy of the location nearest to
+	// where we are now
+	prjX=wrapPrjX(this, prj, prj.fwdX(globalCoord._x), mapState.getPrjX(x,y));
+	
 	this.begin();
-	this._pendMapState.setGlbXY(globalCoord._x, globalCoord._y, optionalX(this,x), optionalY(this,y));
+	mapState.setPrjXY(prjX, prj.fwdY(globalCoord._y), x, y);
 	this.commit();
 };
 
+/**
+ * Get the bounds of the visible area of the map in global coordinates.
+ * If the map is rotated, this is the bounding box of the rotated
+ * viewport.  Pending changes within a transaction are reflected.
+ * <p>
+ * If the map wraps, minx and maxx are not normalized and may lie
+ * past the antimeridian so that minx&lt;maxx always holds.
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name getBounds
+ * @return {nanomaps.Bounds}
+ */
+MapSurfaceMethods.getBounds=function() {
+	var mapState=this._pendMapState,
+		w=mapState.w, h=mapState.h,
+		xs=[mapState.getGlbX(0,0), mapState.getGlbX(w,0), mapState.getGlbX(0,h), mapState.getGlbX(w,h)],
+		ys=[mapState.getGlbY(0,0), mapState.getGlbY(w,0), mapState.getGlbY(0,h), mapState.getGlbY(w,h)];
+	return new Bounds(
+		Math.min.apply(Math, xs),
+		Math.min.apply(Math, ys),
+		Math.max.apply(Math, xs),
+		Math.max.apply(Math, ys));
+};
+
+/**
+ * Center the map on the given global bounds and set the resolution so
+ * that the bounds are fully visible.  If the map wraps, bounds with a minx
+ * (west edge) greater than maxx (east edge) are taken to cross the
+ * antimeridian.  The following options are accepted:
+ * <ul>
+ * <li>padding: Number of pixels to keep clear on all sides.  Default 0.
+ * <li>maxZoom: Do not zoom in past this level.  Useful when fitting a single
+ * point or a very small area.
+ * <li>animate: Passed through to commit().
+ * </ul>
+ * <pre>
+ * 	map.fitBounds(new nanomaps.Bounds(-105.1, 39.6, -104.8, 39.9), {
+ * 		padding: 20,
+ * 		maxZoom: 15,
+ * 		animate: true
+ * 	});
+ * </pre>
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name fitBounds
+ * @param bounds {nanomaps.Bounds} bounds in global coordinates
+ * @param options {Object}
+ */
+MapSurfaceMethods.fitBounds=function(bounds, options) {
+	if (!options) options={};
+	var mapState=this._pendMapState,
+		prj=mapState.prj,
+		padding=Number(options.padding)||0,
+		maxZoom=Number(options.maxZoom),
+		rot=mapState.rot,
+		cos=Math.abs(Math.cos(rot)),
+		sin=Math.abs(Math.sin(rot)),
+		minx=prj.fwdX(bounds.minx),
+		miny=prj.fwdY(bounds.miny),
+		maxx=prj.fwdX(bounds.maxx),
+		maxy=prj.fwdY(bounds.maxy),
+		extent=prj.PRJ_EXTENT,
+		prjW, prjH,
+		w=Math.max(mapState.w-2*padding, 1),
+		h=Math.max(mapState.h-2*padding, 1),
+		level;
+	
+	// Take the short way across the antimeridian
+	if (this._wrap && maxx<minx) maxx+=extent.maxx-extent.minx;
+	prjW=Math.abs(maxx-minx);
+	prjH=Math.abs(maxy-miny);
+	
+	// Fit the (possibly rotated) bounds within the padded viewport
+	level=prj.toLevel(Math.max(
+		(prjW*cos + prjH*sin) / w,
+		(prjW*sin + prjH*cos) / h));
+	if (!isNaN(maxZoom) && level>maxZoom+this._zoomBias) level=maxZoom+this._zoomBias;
+	level=clampZoom(this, level);
+	
+	this.begin();
+	mapState.setZoom(level, mapState.w/2, mapState.h/2);
+	mapState.setPrjXY((minx+maxx)/2, (miny+maxy)/2, mapState.w/2, mapState.h/2);
+	this.commit(options.animate);
+};
+
+/**
+ * Animate to the given location and zoom level along a path that zooms
+ * out and back in (the van Wijk and Nuij "optimal" path) so that long
+ * jumps remain legible rather than smearing across the world at full
+ * resolution.  Tiles for the destination are prefetched as with any
+ * animated commit.  The following options are accepted:
+ * <ul>
+ * <li>duration: Length of the flight in seconds.  By default it is
+ * computed from the length of the path and speed.
+ * <li>speed: Average speed along the path in "screenfuls" per second.
+ * Default 1.2.
+ * <li>curvature: How much to zoom out along the way (rho).  Larger
+ * values zoom out further.  Default 1.42.
+ * <li>curve, rate: Passed through to the Animation.
+ * </ul>
+ * Other pending changes in an enclosing transaction are included in the
+ * flight.
+ * <pre>
+ * 	map.flyTo({lat: 51.5, lng: -0.12}, 12, { speed: 1.5 });
+ * </pre>
+ * This is equivalent to committing with an animate object that has its
+ * fly property set to true:
+ * <pre>
+ * 	map.begin();
+ * 	map.setLocation(...);
+ * 	map.commit({ fly: true, speed: 1.5 });
+ * </pre>
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name flyTo
+ * @param location {Coordinate coercible} new center of the map
+ * @param zoom {Number} new zoom level (default=current)
+ * @param options {Object}
+ */
+MapSurfaceMethods.flyTo=function(location, zoom, options) {
+	var animate={ fly: true }, k;
+	if (options) {
+		for (k in options) animate[k]=options[k];
+	}
+	
+	this.begin();
+	if (zoom!==undefined && zoom!==null) this.setZoom(zoom);
+	this.setLocation(location);
+	this.commit(animate);
+};
+
 /**
  * Update the positioning of all managed surfaces and
  * notify children of reset (if full) or position (if !full).
@@ -794,16 +1623,51 @@ MapSurfaceMethods._invalidate=function(full) {
 	// Update the offset of all managed surfaces and
 	var mapState=this.mapState,
 		surfaces=this._surfaces,
+		left=mapState.getSfcLeft() + 'px',
+		top=mapState.getSfcTop() + 'px',
+		centerPrjX, extent,
 		surface, i;
 	
 	for (i=0; i<surfaces.length; i++) {
 		surface=surfaces[i];
-		surface.style.left=(-mapState.x) + 'px';
-		surface.style.top=(-mapState.y) + 'px';
+		surface.style.left=left;
+		surface.style.top=top;
+	}
+	
+	// Attachments on a wrapped map are placed on the copy of the world
+	// nearest the center at the time of the last reset.  Once we have
+	// moved far enough that another copy may be nearer, reset them all.
+	if (this._wrap) {
+		centerPrjX=mapState.getPrjX(mapState.w/2, mapState.h/2);
+		extent=mapState.prj.PRJ_EXTENT;
+		if (Math.abs(centerPrjX-this._wrapRef)>(extent.maxx-extent.minx)/4) full=true;
+		if (full) this._wrapRef=centerPrjX;
 	}
 	
 	if (full) this._notifyReset();
 	else this._notifyPosition();
+	
+	this._notifyChange();
+};
+
+/**
+ * Emit the 'move', 'zoom' and 'resize' events for the change in display
+ * state since the last call.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _notifyChange
+ */
+MapSurfaceMethods._notifyChange=function() {
+	var oldState=this._lastState,
+		newState=new MapState(this.mapState),
+		finalState=this.mapState.finalState;
+	this._lastState=newState;
+	
+	this.emit('move', new MapStateEvent('move', oldState, newState, finalState));
+	if (oldState.res!==newState.res) 
+		this.emit('zoom', new MapStateEvent('zoom', oldState, newState, finalState));
+	if (oldState.w!==newState.w || oldState.h!==newState.h)
+		this.emit('resize', new MapStateEvent('resize', oldState, newState, finalState));
 };
 
 /**
@@ -856,6 +1720,7 @@ MapSurfaceMethods._each=function(includeSurfaces, callback) {
 MapSurfaceMethods._notifyPosition=function() {
 	this._each(false, function(element) {
 		var peer=element.mapeer||DefaultAttachmentPeer;
+		if (element.mahidden) return;
 		if (isFunction(peer.maposition))
 			peer.maposition(this, element);
 	});
@@ -879,10 +1744,22 @@ MapSurfaceMethods._notifyReset=function() {
  */
 MapSurfaceMethods._notifyResetSingle=function(element) {
 	var peer=element.mapeer||DefaultAttachmentPeer;
+	if (element.mahidden) return;
 	if (isFunction(peer.mareset))
 		peer.mareset(this, element);
 };
 
+/**
+ * Returns true if the map repeats the world horizontally.  See
+ * the wrap constructor option.
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name isWrapped
+ */
+MapSurfaceMethods.isWrapped=function() {
+	return this._wrap;
+};
+
 /**
  * Initialization hook.  Performs initialization after map structures have
  * been initialized but before content is added to the map.  This method
@@ -1014,11 +1891,22 @@ function getAttachmentElement(mapSurface, attachment) {
  * <li>getElement(MapSurface):HTMLElement - Attaches or reattaches this Attachment
  * object to the given MapSurface.  Should return the HTMLElement representing
  * the attachment
+ * <li>attribution:String|Array - Optional credit (html) that must be displayed
+ * while the attachment is visible.  See AttributionControl.  Plain elements
+ * can give this as an "attribution" or "data-nm-attribution" attribute.
  * </ul>
+ * <p>
+ * Once attached, the 'attach' event is raised with the attachment and element.
+ * MapSurface.detach raises 'detach' with the same arguments.
  * 
  * Note in particular that there is no detach method.  Attachments can be
  * removed by either removing the corresponding HTMLElement or calling MapSurface.detach
  * with the Attachment object. 
+ * <p>
+ * The MapSurface keeps a registry of what was attached through this method so
+ * that attachments can be enumerated (getAttachments), tested (hasAttachment),
+ * looked up by element (getAttachment) and shown, hidden or restyled
+ * (setAttachmentVisible, setAttachmentOpacity, setAttachmentZIndex).
  *
  * <h3>AttachmentPeer API</h3>
  * Attachment peers should implement the following:
@@ -1027,6 +1915,8 @@ function getAttachmentElement(mapSurface, attachment) {
  * changes
  * <li>mareset(MapSurface,HTMLElement) - If defined, called whenever the map's resolution or
  * other parameter changes which is considered a "heavy weight" change
+ * <li>madetach(MapSurface,HTMLElement) - If defined, called after the element is removed
+ * by MapSurface.detach or MapSurface.destroy.  Release any resources here.
  * </ul>
  *
  * <h1>The following is old docs</h1>
@@ -1072,6 +1962,7 @@ MapSurfaceMethods.attach=function(attachment, options) {
 	
 	// Make sure it is positioned
 	element.style.position='absolute';
+	this._register(element, attachment);
 	
 	parent=unmanaged ? this.layer(layerSpec) : this.surface(layerSpec);
 	if (element.parentNode===parent) {
@@ -1087,6 +1978,7 @@ MapSurfaceMethods.attach=function(attachment, options) {
 	
 	// Send it a reset event
 	this._notifyResetSingle(element);
+	this.emit('attach', attachment, element);
 	
 	return element;
 };
@@ -1094,7 +1986,8 @@ MapSurfaceMethods.attach=function(attachment, options) {
 /**
  * Convenience method to balance calls to attach.  Gets the element associated
  * with the attachment and removes it from the DOM tree.  It is also perfectly
- * acceptable to remove the element yourself.
+ * acceptable to remove the element yourself, but the peer's madetach
+ * method will only be called if it is detached through this method.
  *
  * @public
  * @methodOf nanomaps.MapSurface.prototype
@@ -1102,27 +1995,183 @@ MapSurfaceMethods.attach=function(attachment, options) {
  * @param {HTMLElement or Attachment} attachment
  */
 MapSurfaceMethods.detach=function(attachment) {
-	var element=getAttachmentElement(this, attachment);
-	if (element.parentNode) element.parentNode.removeChild(element);
+	var element=getAttachmentElement(this, attachment),
+		parent=element.parentNode,
+		peer;
+	if (!parent) return;
+	
+	// Report the object that was attached, even if given the element
+	attachment=this.getAttachment(element)||attachment;
+	parent.removeChild(element);
+	this._unregister(element);
+	
+	if (parent.nmt) {
+		peer=element.mapeer||DefaultAttachmentPeer;
+		if (isFunction(peer.madetach))
+			peer.madetach(this, element);
+		this.emit('detach', attachment, element);
+	}
+};
+
+/**
+ * Dispose of the map.  All attachments are detached (giving their peers a
+ * chance to release resources), animations are interrupted, the map's layers
+ * are removed from the container and all DOM listeners are removed.  Finally,
+ * the 'destroy' event is raised and all listeners on the map are removed.
+ * The container element itself is left in the document.  The map should not
+ * be used after this call.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name destroy
+ */
+MapSurfaceMethods.destroy=function() {
+	if (this._destroyed) return;
+	this._destroyed=true;
+	
+	var elements=[],
+		layers=this._layers,
+		parent=this.elements.parent,
+		i;
+	
+	// Stop anything in flight
+	if (this._invFrame) {
+		cancelFrame(this._invFrame);
+		this._invFrame=null;
+	}
+	if (this._pendAnim) {
+		this._pendAnim.interrupt();
+		this._pendAnim=null;
+	}
+	this.mapState.finalState=null;
+	this._pendLock=0;
+	this._savepoints.length=0;
+	if (this._collectObserver) {
+		this._collectObserver.disconnect();
+		this._collectObserver=null;
+	}
+	
+	// Detach everything
+	this._each(true, function(element) {
+		elements.push(element);
+	});
+	for (i=0; i<elements.length; i++) {
+		this.detach(elements[i]);
+	}
+	
+	// Tear down map structure
+	for (i=0; i<layers.length; i++) {
+		if (layers[i].parentNode===parent) parent.removeChild(layers[i]);
+	}
+	this._layers=[];
+	this._surfaces=[];
+	this._attachments={};
+	parent.nmt=null;
+	
+	this.emit('destroy', this);
+	this.removeAllListeners();
 };
 
 /**
  * Collects all unattached DOM elements from the container which have geo
- * referencing information and attaches them.
+ * referencing information and attaches them.  Only direct children of the
+ * container are considered.  An element is geo referenced if it has numeric
+ * "latitude" and "longitude" attributes (or "data-nm-latitude" and
+ * "data-nm-longitude").  The following optional attributes are also
+ * recognized with or without the "data-nm-" prefix:
+ * <ul>
+ * <li>layer: Name or ordinal of the layer to attach to (default "overlay")
+ * <li>xoffset: Pixels to offset the element horizontally
+ * <li>yoffset: Pixels to offset the element vertically
+ * </ul>
+ * Collected elements are positioned by the DefaultAttachmentPeer.
+ * <pre>
+ * 	&lt;div id="map"&gt;
+ * 		&lt;img src="pin.png" data-nm-latitude="39.74" data-nm-longitude="-104.99"
+ * 			data-nm-layer="overlay" data-nm-xoffset="-8" data-nm-yoffset="-32" /&gt;
+ * 	&lt;/div&gt;
+ * </pre>
+ * If observe is true, a MutationObserver (where supported) continues to watch the
+ * container so that geo referenced elements added later are collected and
+ * collected elements whose geo attributes change are updated.  The constructor
+ * calls this method with the value of the observe option.
  *
  * @public
  * @methodOf nanomaps.MapSurface.prototype
  * @name collect
- * @param {HTMLElement or factory} element Element or factory to add
+ * @param {boolean} [observe=false] keep collecting elements as they are added
  */
-MapSurfaceMethods.collect=function() {
-	/* TODO
-	for (var child=this.elements.parent.firstChild; child; child=child.nextSibling) {
-		if (child.nodeType===1 && child.hasAttribute('latitude') && child.hasAttribute('longitude')) {
-			this.attach(child);
+MapSurfaceMethods.collect=function(observe) {
+	var self=this,
+		parent=this.elements.parent,
+		win=this.elements.document.defaultView||window,
+		children=[],
+		observer, child, i;
+	
+	// Gather first since attaching moves the children
+	for (child=parent.firstChild; child; child=child.nextSibling) {
+		children.push(child);
+	}
+	for (i=0; i<children.length; i++) {
+		this._collectSingle(children[i]);
+	}
+	
+	if (observe && !this._collectObserver && win.MutationObserver) {
+		observer=this._collectObserver=new win.MutationObserver(function(records) {
+			var i, j, record, target, nodes;
+			for (i=0; i<records.length; i++) {
+				record=records[i];
+				target=record.target;
+				if (record.type==='childList') {
+					nodes=record.addedNodes;
+					for (j=0; j<nodes.length; j++) {
+						observeCollectable(observer, nodes[j]);
+						self._collectSingle(nodes[j]);
+					}
+				} else if (target.parentNode===parent) {
+					// Loose element may have just become geo referenced
+					self._collectSingle(target);
+				} else if (target.parentNode && target.parentNode.nmt && !target.nmt) {
+					// Collected element moved
+					self.update(target);
+				}
+			}
+		});
+		
+		// Only the container's own children are watched.  Observing the
+		// subtree would wake up for every tile added or removed in a pan.
+		observer.observe(parent, { childList: true });
+		for (i=0; i<children.length; i++) {
+			observeCollectable(observer, children[i]);
 		}
 	}
-	*/
+};
+
+/**
+ * Watch the positioning attributes of an element that is or may
+ * become collected.
+ * @private
+ */
+function observeCollectable(observer, element) {
+	if (element.nodeType!==1 || element.nmt) return;
+	observer.observe(element, {
+		attributes: true,
+		attributeFilter: COLLECT_ATTRIBUTES
+	});
+}
+
+/**
+ * Attach a single loose child of the container if it is geo referenced.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _collectSingle
+ */
+MapSurfaceMethods._collectSingle=function(element) {
+	if (element.nodeType!==1 || element.nmt || element.parentNode!==this.elements.parent) return;
+	if (!extractDefaultPosition(element)) return;
+	this.attach(element, {
+		layer: getGeoAttribute(element, 'layer') || 'overlay'
+	});
 };
 
 /**
@@ -1144,6 +2193,263 @@ MapSurfaceMethods.update=function(attachment) {
 	return element;
 };
 
+/**
+ * Global sequence for attachment registry keys.  Shared by all maps so that
+ * an element moved between maps never collides with a stale entry.
+ * @private
+ */
+var nextAttachmentId=1;
+
+/**
+ * Record that element was attached on behalf of attachment (which may be
+ * the element itself).  The registry is keyed by an id stored in the element's
+ * "maid" property so that neither the element nor the Attachment need to
+ * reference each other.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _register
+ */
+MapSurfaceMethods._register=function(element, attachment) {
+	var id=element.maid, entry=id && this._attachments[id];
+	if (entry && entry.element===element) {
+		entry.attachment=attachment;
+		return;
+	}
+	
+	id=element.maid=nextAttachmentId++;
+	this._attachments[id]={
+		element: element,
+		attachment: attachment
+	};
+};
+
+/**
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _unregister
+ */
+MapSurfaceMethods._unregister=function(element) {
+	var id=element.maid, entry=id && this._attachments[id];
+	if (entry && entry.element===element) {
+		delete this._attachments[id];
+		element.mahidden=false;
+	}
+};
+
+/**
+ * Answers whether the element is currently in one of this map's layers
+ * or surfaces.  Elements removed directly from the DOM are no longer on the
+ * map even though the registry may still have an entry for them.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _isOnMap
+ */
+MapSurfaceMethods._isOnMap=function(element) {
+	var parent=element.parentNode;
+	if (!parent) return false;
+	if (parent.nmt==='surface') parent=parent.parentNode;
+	return !!parent && parent.nmt==='layer' && parent.parentNode===this.elements.parent;
+};
+
+/**
+ * Find the live registry entry for an HTMLElement or Attachment.  Returns
+ * null if it is not on this map.  This deliberately does not call
+ * getElement on Attachments since that has the side effect of binding
+ * the Attachment to the map.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _findEntry
+ */
+MapSurfaceMethods._findEntry=function(attachment) {
+	var attachments=this._attachments, entry, id;
+	if (isHtmlElement(attachment)) {
+		entry=attachment.maid && attachments[attachment.maid];
+		if (entry && entry.element!==attachment) entry=null;
+	} else {
+		entry=null;
+		for (id in attachments) {
+			if (attachments[id].attachment===attachment) {
+				entry=attachments[id];
+				break;
+			}
+		}
+	}
+	
+	if (entry && !this._isOnMap(entry.element)) {
+		// Removed behind our back
+		this._unregister(entry.element);
+		entry=null;
+	}
+	return entry;
+};
+
+/**
+ * Return an array of everything attached to the map, in display order
+ * within each layer.  Each item is the Attachment object that was passed
+ * to attach (or the HTMLElement if a raw element was attached).  Elements
+ * that were added to the map's layers directly without going through attach
+ * are reported as themselves.
+ * <p>
+ * Options:
+ * <ul>
+ * <li>layer: Only return attachments on the given layer (name or ordinal)
+ * </ul>
+ * <pre>
+ * 	// Hide every tile layer but one
+ * 	var layers=map.getAttachments({ layer: 'map' });
+ * 	for (var i=0; i&lt;layers.length; i++) {
+ * 		map.setAttachmentVisible(layers[i], layers[i]===streetLayer);
+ * 	}
+ * </pre>
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name getAttachments
+ * @param {Object} [options]
+ * @return {Array}
+ */
+MapSurfaceMethods.getAttachments=function(options) {
+	var ordinal=options && options.layer!==undefined && options.layer!==null ?
+			layerIndexToOrdinal(options.layer) : null,
+		attachments=this._attachments,
+		live={},
+		ret=[],
+		id;
+	
+	this._each(true, function(element) {
+		if (ordinal!==null && element.parentNode.ordinal!==ordinal) return;
+		ret.push(this.getAttachment(element));
+		if (element.maid) live[element.maid]=true;
+	});
+	
+	// Prune anything that was removed from the DOM directly
+	if (ordinal===null) {
+		for (id in attachments) {
+			if (!live[id]) this._unregister(attachments[id].element);
+		}
+	}
+	
+	return ret;
+};
+
+/**
+ * Answers whether the given HTMLElement or Attachment is currently attached
+ * to this map.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name hasAttachment
+ * @param {HTMLElement or Attachment} attachment
+ * @return {boolean}
+ */
+MapSurfaceMethods.hasAttachment=function(attachment) {
+	if (this._findEntry(attachment)) return true;
+	// Raw elements placed on the map without attach
+	return isHtmlElement(attachment) && this._isOnMap(attachment);
+};
+
+/**
+ * Look up the Attachment object that owns an element on the map.  This
+ * is typically used to get from an event target back to the user level
+ * object.  If the element was attached directly, the element itself is
+ * returned.  Returns null if the element is not on this map.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name getAttachment
+ * @param {HTMLElement} element
+ * @return {Attachment or HTMLElement}
+ */
+MapSurfaceMethods.getAttachment=function(element) {
+	var entry=this._findEntry(element);
+	if (entry) return entry.attachment;
+	return this._isOnMap(element) ? element : null;
+};
+
+/**
+ * Get the element on this map for an attachment or null if not attached.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _attachedElement
+ */
+MapSurfaceMethods._attachedElement=function(attachment) {
+	var entry=this._findEntry(attachment);
+	if (entry) return entry.element;
+	return (isHtmlElement(attachment) && this._isOnMap(attachment)) ? attachment : null;
+};
+
+/**
+ * Show or hide an attachment without detaching it.  While hidden, its
+ * peer receives no maposition/mareset calls (so, for example, a hidden
+ * TileLayer loads no tiles).  It is reset when shown again.  Has no
+ * effect if the attachment is not on this map.  Detaching clears the
+ * hidden state.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name setAttachmentVisible
+ * @param {HTMLElement or Attachment} attachment
+ * @param {boolean} visible
+ */
+MapSurfaceMethods.setAttachmentVisible=function(attachment, visible) {
+	var element=this._attachedElement(attachment);
+	if (!element) return;
+	
+	visible=!!visible;
+	if (visible===!element.mahidden) return;
+	
+	element.mahidden=!visible;
+	element.style.visibility=visible ? '' : 'hidden';
+	if (visible) this._notifyResetSingle(element);
+	this.emit('visibility', this.getAttachment(element), visible);
+};
+
+/**
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name isAttachmentVisible
+ * @param {HTMLElement or Attachment} attachment
+ * @return {boolean} true if the attachment is on this map and not hidden
+ */
+MapSurfaceMethods.isAttachmentVisible=function(attachment) {
+	var element=this._attachedElement(attachment);
+	return !!element && !element.mahidden;
+};
+
+/**
+ * Set the opacity (0..1) of an attachment.  Pass null to revert to
+ * the stylesheet value.  Has no effect if the attachment is not on this map.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name setAttachmentOpacity
+ * @param {HTMLElement or Attachment} attachment
+ * @param {Number} opacity
+ */
+MapSurfaceMethods.setAttachmentOpacity=function(attachment, opacity) {
+	var element=this._attachedElement(attachment);
+	if (!element) return;
+	element.style.opacity=(opacity===null || opacity===undefined) ? '' : String(opacity);
+};
+
+/**
+ * Set the css z-index of an attachment to order it relative to other
+ * attachments on the same layer.  Layers themselves are always ordered by
+ * their ordinal.  Pass null to revert to the stylesheet value.  Has no effect
+ * if the attachment is not on this map.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name setAttachmentZIndex
+ * @param {HTMLElement or Attachment} attachment
+ * @param {Number} zIndex
+ */
+MapSurfaceMethods.setAttachmentZIndex=function(attachment, zIndex) {
+	var element=this._attachedElement(attachment);
+	if (!element) return;
+	element.style.zIndex=(zIndex===null || zIndex===undefined) ? '' : String(zIndex);
+};
+
 /**
  * Set the width/height of the map.  The style.width and style.height is always
  * hardcoded so as to avoid strange effects if the container changes size.
@@ -1205,6 +2511,11 @@ MapSurfaceMethods.moveBy=function(eastingPx, northingPx) {
  * manage their position on the managed attachment div.  Always
  * operates on the display MapState, not any pending MapState
  * within a transaction.
+ * <p>
+ * If the map is rotated, the returned coordinates account for it so
+ * that attachments stay upright while tracking their location.  If the
+ * map wraps, the copy of the location nearest to the viewport center
+ * is returned.
  * @public
  * @methodOf nanomaps.MapSurface.prototype
  * @name globalToXY
@@ -1214,15 +2525,35 @@ MapSurfaceMethods.moveBy=function(eastingPx, northingPx) {
 MapSurfaceMethods.globalToXY=function(globalCoord) {
 	var mapState=this.mapState,
 		prj=mapState.prj,
-		x, y;
+		dspX, dspY, x, y;
 	globalCoord=Coordinate.from(globalCoord);
 	
-	x=mapState.prjToDspX(prj.fwdX(globalCoord._x));
-	y=mapState.prjToDspY(prj.fwdY(globalCoord._y));
+	dspX=mapState.prjToDspX(wrapPrjX(this, prj, prj.fwdX(globalCoord._x),
+		mapState.getPrjX(mapState.w/2, mapState.h/2)));
+	dspY=mapState.prjToDspY(prj.fwdY(globalCoord._y));
+	x=mapState.dspToSfcX(dspX, dspY);
+	y=mapState.dspToSfcY(dspX, dspY);
 	
 	return (isNaN(x) || isNaN(y)) ? null: new Coordinate(x,y);
 };
 
+/**
+ * Attributes that declare the position of loose elements.  Each may
+ * be given with or without a "data-nm-" prefix.
+ * @private
+ */
+var COLLECT_ATTRIBUTES=['latitude', 'longitude', 'xoffset', 'yoffset', 'layer',
+	'data-nm-latitude', 'data-nm-longitude', 'data-nm-xoffset', 'data-nm-yoffset', 'data-nm-layer'];
+
+/**
+ * Get a positioning attribute from an element, preferring the plain
+ * name over the "data-nm-" prefixed name.
+ * @private
+ */
+function getGeoAttribute(element, name) {
+	return element.getAttribute(name) || element.getAttribute('data-nm-' + name);
+}
+
 /**
  * @private
  * @return {longitude:, latitude:, xoffset:, yoffset:}
@@ -1230,11 +2561,12 @@ MapSurfaceMethods.globalToXY=function(globalCoord) {
 function extractDefaultPosition(element) {
 	var geo=element.geo;
 	if (!geo) {
+		if (!element.getAttribute) return null;
 		geo={};
-		if (isNaN(geo.latitude=Number(element.getAttribute('latitude')||'NaN'))) return null;
-		if (isNaN(geo.longitude=Number(element.getAttribute('longitude')||'NaN'))) return null;
-		geo.xoffset=Number(element.getAttribute('xoffset')||'NaN');
-		geo.yoffset=Number(element.getAttribute('yoffset')||'NaN');
+		if (isNaN(geo.latitude=Number(getGeoAttribute(element, 'latitude')||'NaN'))) return null;
+		if (isNaN(geo.longitude=Number(getGeoAttribute(element, 'longitude')||'NaN'))) return null;
+		geo.xoffset=Number(getGeoAttribute(element, 'xoffset')||'NaN');
+		geo.yoffset=Number(getGeoAttribute(element, 'yoffset')||'NaN');
 	}
 	return geo;
 }
@@ -5,7 +5,9 @@
 **/
 
 // Feature detection
-var hasAddEventListener=!!window.addEventListener;
+var hasAddEventListener=!!window.addEventListener,
+	TRANSFORM_PROPS=['transform', 'WebkitTransform', 'MozTransform', 'msTransform', 'OTransform'],
+	transformProp;
 
 function getComputedStyle(elt, prop) {
 	if (elt.currentStyle) {
@@ -36,14 +38,19 @@ function removeEventListener(target, eventName, listener) {
 	target.removeEventListener(eventName, listener, false);
 }
 
+/**
+ * Get the button of a mouse event numbered as W3C does
+ * (0=left, 1=middle, 2=right).  Old IE uses a bitmask
+ * (1=left, 4=middle, 2=right).
+ */
+function getMouseButton(event) {
+	var button=event.button;
+	if (hasAddEventListener) return button;
+	return button&1 ? 0 : (button&4 ? 1 : 2);
+}
+
 function isLeftClick(event) {
-	// TODO: IE needs some TLC here.  For it, button==1 for
-	// left click
-	if (hasAddEventListener) {
-		return event.button===0;
-	} else {
-		return event.button===1;
-	}
+	return getMouseButton(event)===0;
 }
 
 function stopEvent(event) {
@@ -56,6 +63,31 @@ function stopEvent(event) {
 	}
 }
 
+/**
+ * Rotate an element by rot radians (clockwise) about (originX,originY)
+ * using css transforms.  Does nothing if transforms are not supported.
+ */
+function setRotation(elt, rot, originX, originY) {
+	var style=elt.style, i;
+	if (transformProp===undefined) {
+		transformProp=null;
+		for (i=0; i<TRANSFORM_PROPS.length; i++) {
+			if (TRANSFORM_PROPS[i] in style) {
+				transformProp=TRANSFORM_PROPS[i];
+				break;
+			}
+		}
+	}
+	if (!transformProp) return;
+	
+	if (rot) {
+		style[transformProp+'Origin']=originX + 'px ' + originY + 'px';
+		style[transformProp]='rotate(' + rot + 'rad)';
+	} else {
+		style[transformProp]='';
+	}
+}
+
 function div() {
 	return document.createElement('div');
 }
@@ -193,6 +193,7 @@ function Bounds(minx,miny,maxx,maxy) {
 	 */
 	this.maxy=maxy;
 }
+exports.Bounds=Bounds;
 
 /**
  * Convert tile x,y,level coordinates to a Microsoft
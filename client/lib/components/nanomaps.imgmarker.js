@@ -25,6 +25,7 @@ function hrefToClassSuffix(href) {
  */
 function ImgMarker(settings) {
 	this.settings=new SettingsConstructor(settings);
+	this.attribution=this.settings.attribution||null;
 	this.element=null;
 	this.children=null;
 }
@@ -58,7 +59,12 @@ ImgMarker.Settings={
 	 /**
 	  * Extra css classes
 	  */
-	 extraClasses: ''
+	 extraClasses: '',
+	 
+	 /**
+	  * Credit (html) shown by AttributionControl while attached
+	  */
+	 attribution: null
 };
 
 ImgMarker.prototype={
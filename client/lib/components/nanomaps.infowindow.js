@@ -73,6 +73,7 @@
 function InfoWindow(options) {
 	if (!options) options={};
 	this.options=options;
+	this.attribution=options.attribution||null;
 	
 	// -- Instantiate the delegate
 	var delegateCtor=options.delegate||InfoWindowDelegate,
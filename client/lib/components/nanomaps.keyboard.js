@@ -0,0 +1,192 @@
+/**
+ * nanomaps.keyboard.js
+ * Keyboard navigation of a MapSurface.
+ */
+
+var KEYBOARD_PAN_PX=100,
+	KEYBOARD_PAN_FAR=0.8,	// Fraction of the viewport for shift+arrow
+	KEYBOARD_FOCUS_CLASS='nmfocus',
+	KEY_HOME=36,
+	KEY_LEFT=37,
+	KEY_UP=38,
+	KEY_RIGHT=39,
+	KEY_DOWN=40,
+	KEYS_ZOOM_IN={ 107: true, 187: true, 61: true },
+	KEYS_ZOOM_OUT={ 109: true, 189: true, 173: true };
+
+MapSurfaceMethods.advise('initialize', 'after', function(options) {
+	/**
+	 * The view that the Home key returns to.  See setHome.
+	 * @private
+	 */
+	this._home=null;
+	if (!options.noKeyboard) this.setKeyboardEnabled(true, options.keyboardPanStep);
+});
+
+MapSurfaceMethods.advise('destroy', 'before', function() {
+	this.setKeyboardEnabled(false);
+});
+
+/**
+ * Answers whether a key event came from something inside the map that
+ * wants the keys for itself (ie. an input in an InfoWindow or a control
+ * button).  Only events targeting the map container itself are handled.
+ * @private
+ */
+function isForeignKeyTarget(map, event) {
+	var target=event.target||event.srcElement;
+	return !!target && target!==map.elements.parent;
+}
+
+/**
+ * Enable or disable keyboard navigation.  When enabled, the map container
+ * is made focusable (if it does not already have a tabindex) and, while it
+ * has focus, the following keys are handled with animated commits:
+ * <ul>
+ * <li>Arrows: Pan by panStep pixels
+ * <li>Shift+Arrows: Pan by most of the viewport
+ * <li>+ and -: Zoom in and out
+ * <li>Home: Return to the home view (see setHome)
+ * </ul>
+ * Keys pressed while something inside the map has focus (form controls,
+ * links in an InfoWindow, control buttons) are left alone, as are keys
+ * with ctrl, alt or meta held down.
+ * <p>
+ * Pressing a mouse button on the map focuses it.  While focused, the
+ * container has the "nmfocus" css class.  The browser's own focus outline
+ * is left in place so there is always a visible indicator; style nmfocus
+ * to replace it.  Keyboard navigation is on by default.  Pass the
+ * noKeyboard option to the MapSurface constructor to disable it and
+ * keyboardPanStep to change the arrow key step.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name setKeyboardEnabled
+ * @param enable {boolean}
+ * @param [panStep=100] {Number} pixels to pan per arrow key press
+ */
+MapSurfaceMethods.setKeyboardEnabled=function(enable, panStep) {
+	var self=this,
+		elt=this.elements.parent,
+		state=this._keyboard;
+
+	// Stop any previous handling
+	if (state) {
+		removeEventListener(elt, 'keydown', state.keydown);
+		removeEventListener(elt, 'focus', state.focus);
+		removeEventListener(elt, 'blur', state.blur);
+		if (state.tabIndexSet) elt.removeAttribute('tabindex');
+		setFocusClass(elt, false);
+		this._keyboard=null;
+	}
+	if (!enable) return;
+
+	state=this._keyboard={
+		step: Number(panStep)||KEYBOARD_PAN_PX,
+		tabIndexSet: false,
+		keydown: function(event) {
+			if (self._handleKey(event)) stopEvent(event);
+		},
+		focus: function(event) {
+			if (event.target===elt) setFocusClass(elt, true);
+		},
+		blur: function(event) {
+			if (event.target===elt) setFocusClass(elt, false);
+		}
+	};
+
+	if (!elt.getAttribute('tabindex')) {
+		elt.setAttribute('tabindex', '0');
+		state.tabIndexSet=true;
+	}
+	addEventListener(elt, 'keydown', state.keydown);
+	addEventListener(elt, 'focus', state.focus);
+	addEventListener(elt, 'blur', state.blur);
+};
+
+function setFocusClass(elt, focused) {
+	var className=elt.className.replace(/(^|\s)nmfocus(?=\s|$)/g, '');
+	elt.className=focused ? className + ' ' + KEYBOARD_FOCUS_CLASS : className;
+}
+
+/**
+ * Perform the action for a keydown event.
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _handleKey
+ * @return true if the key was handled
+ */
+MapSurfaceMethods._handleKey=function(event) {
+	var keyCode=event.keyCode,
+		key=event.key,
+		mapState=this.mapState,
+		step=this._keyboard.step,
+		stepX=event.shiftKey ? mapState.w*KEYBOARD_PAN_FAR : step,
+		stepY=event.shiftKey ? mapState.h*KEYBOARD_PAN_FAR : step,
+		savepoint;
+
+	if (event.ctrlKey || event.altKey || event.metaKey) return false;
+	if (isForeignKeyTarget(this, event)) return false;
+
+	savepoint=this.begin();
+	if (keyCode===KEY_LEFT) {
+		this.moveBy(-stepX, 0);
+	} else if (keyCode===KEY_RIGHT) {
+		this.moveBy(stepX, 0);
+	} else if (keyCode===KEY_UP) {
+		this.moveBy(0, stepY);
+	} else if (keyCode===KEY_DOWN) {
+		this.moveBy(0, -stepY);
+	} else if (key==='+' || key==='=' || (!key && KEYS_ZOOM_IN[keyCode])) {
+		this.zoomIn();
+	} else if (key==='-' || key==='_' || (!key && KEYS_ZOOM_OUT[keyCode])) {
+		this.zoomOut();
+	} else if (keyCode===KEY_HOME) {
+		this._goHome();
+	} else {
+		this.rollback(savepoint);
+		return false;
+	}
+	this.commit(true);
+	return true;
+};
+
+/**
+ * Set the view that the Home key returns to.  With no arguments, the
+ * current view (location, zoom and bearing) becomes the home view.
+ * Until a home view is set, the Home key only turns the map back to north.
+ *
+ * @public
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name setHome
+ * @param [location] {Coordinate coercible}
+ * @param [zoom] {Number}
+ * @param [bearing=0] {Number}
+ */
+MapSurfaceMethods.setHome=function(location, zoom, bearing) {
+	this._home={
+		location: location ? Coordinate.from(location) : this.getLocation(),
+		zoom: zoom===undefined ? this.getZoom() : zoom,
+		bearing: bearing===undefined ? (location ? 0 : this.getBearing()) : bearing
+	};
+};
+
+/**
+ * Set the pending view to the home view
+ * @private
+ * @methodOf nanomaps.MapSurface.prototype
+ * @name _goHome
+ */
+MapSurfaceMethods._goHome=function() {
+	var home=this._home;
+	this.begin();
+	if (!home) {
+		this.setBearing(0);
+		this.commit();
+		return;
+	}
+	this.setBearing(home.bearing);
+	this.setZoom(home.zoom);
+	this.setLocation(home.location);
+	this.commit();
+};
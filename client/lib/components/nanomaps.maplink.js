@@ -0,0 +1,165 @@
+/**
+ * nanomaps.maplink.js
+ * Keep the views of several maps in sync.
+ */
+
+/**
+ * A MapLink mirrors committed view changes on any of its maps onto all
+ * of the others.  Each map may be given a zoom offset relative to the
+ * others (ie. an overview map that is 4 levels further out).  Animated
+ * commits are mirrored with the same animation options so that linked
+ * maps move together and still prefetch tiles for the final state.  The
+ * anchor option is the exception: it is a point on the source map's
+ * viewport so the other maps animate about their centers.
+ * <pre>
+ * 	var link=new nanomaps.MapLink();
+ * 	link.add(streetMap);
+ * 	link.add(aerialMap);
+ * 	link.add(overviewMap, { zoomOffset: -4, bearing: false });
+ * </pre>
+ * Changes that the link itself makes are not mirrored back, so there
+ * are no feedback loops.
+ *
+ * @constructor
+ * @public
+ * @name nanomaps.MapLink
+ */
+function MapLink() {
+	this._entries=[];
+	this._syncing=false;
+}
+
+MapLink.prototype={
+	/**
+	 * Add a map to the link.  It is immediately synchronized to the
+	 * view of the first map in the link.
+	 * @public
+	 * @methodOf nanomaps.MapLink.prototype
+	 * @name add
+	 * @param map {nanomaps.MapSurface}
+	 * @param [options.zoomOffset=0] zoom levels to add relative to the other maps
+	 * @param [options.bearing=true] if false, the bearing of this map is not linked
+	 */
+	add: function(map, options) {
+		if (!options) options={};
+		if (this._find(map)) return;
+		
+		var self=this,
+			entry={
+				map: map,
+				zoomOffset: Number(options.zoomOffset)||0,
+				bearing: options.bearing!==false,
+				listener: function(commitEvent) {
+					self._mirror(entry, commitEvent.animate);
+				},
+				destroyListener: function() {
+					self.remove(map);
+				}
+			},
+			first=this._entries[0];
+		
+		this._entries.push(entry);
+		map.on('commit', entry.listener);
+		map.on('destroy', entry.destroyListener);
+		if (first) this._sync(first, entry, false);
+	},
+	
+	/**
+	 * Remove a map from the link.
+	 * @public
+	 * @methodOf nanomaps.MapLink.prototype
+	 * @name remove
+	 * @param map {nanomaps.MapSurface}
+	 */
+	remove: function(map) {
+		var entries=this._entries, i;
+		for (i=entries.length-1; i>=0; i--) {
+			if (entries[i].map===map) {
+				map.removeListener('commit', entries[i].listener);
+				map.removeListener('destroy', entries[i].destroyListener);
+				entries.splice(i, 1);
+			}
+		}
+	},
+	
+	/**
+	 * Remove all maps from the link.
+	 * @public
+	 * @methodOf nanomaps.MapLink.prototype
+	 * @name clear
+	 */
+	clear: function() {
+		while (this._entries.length) this.remove(this._entries[0].map);
+	},
+	
+	/**
+	 * @private
+	 */
+	_find: function(map) {
+		var entries=this._entries, i;
+		for (i=0; i<entries.length; i++) {
+			if (entries[i].map===map) return entries[i];
+		}
+		return null;
+	},
+	
+	/**
+	 * Called when the map of the source entry commits changes.
+	 * @private
+	 */
+	_mirror: function(source, animate) {
+		var entries=this._entries, i;
+		if (this._syncing) return;
+		
+		animate=mirrorAnimate(animate);
+		
+		this._syncing=true;
+		try {
+			for (i=0; i<entries.length; i++) {
+				if (entries[i]!==source) this._sync(source, entries[i], animate);
+			}
+		} finally {
+			this._syncing=false;
+		}
+	},
+	
+	/**
+	 * Make the pending view of the target entry's map match the source.
+	 * The pending state of the source map is what is being committed.
+	 * @private
+	 */
+	_sync: function(source, target, animate) {
+		var sourceMap=source.map,
+			targetMap=target.map,
+			syncing=this._syncing;
+		
+		this._syncing=true;
+		try {
+			targetMap.begin();
+			targetMap.setZoom(sourceMap.getZoom() - source.zoomOffset + target.zoomOffset);
+			if (source.bearing && target.bearing) targetMap.setBearing(sourceMap.getBearing());
+			targetMap.setLocation(sourceMap.getLocation());
+			targetMap.commit(animate);
+		} finally {
+			this._syncing=syncing;
+		}
+	}
+};
+
+/**
+ * Copy commit animation options for a linked map, leaving out those
+ * that only make sense on the source map.
+ * @private
+ */
+function mirrorAnimate(animate) {
+	var ret, k;
+	if (!animate || typeof animate!=='object' || !animate.anchor) return animate;
+	ret={};
+	for (k in animate) {
+		if (k!=='anchor') ret[k]=animate[k];
+	}
+	return ret;
+}
+
+// -- Exports
+exports.MapLink=MapLink;
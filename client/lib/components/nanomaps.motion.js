@@ -11,10 +11,51 @@
 var STATE_DOWN=0,
 	STATE_DRAG=1,
 	STATE_CLICK_PEND=2,
+	STATE_BOX=3,
 	CLICK_DOUBLE_MS=280,
 	TOUCH_THRESHOLD=10,
 	TOUCH_LONGTAP_MS=1000,
-	TOUCH_DOUBLE_MS=280;
+	TOUCH_DOUBLE_MS=280,
+	TOUCH_ROTATE_THRESHOLD=12,	// Degrees a pinch must twist before it rotates
+	KINETIC_SAMPLE_MS=100,
+	KINETIC_TIME_CONSTANT=0.325,
+	KINETIC_DURATION=4*KINETIC_TIME_CONSTANT,
+	KINETIC_MIN_SPEED=100,
+	KINETIC_MAX_SPEED=4000,
+	BOXZOOM_MIN_PX=5,
+	WHEEL_WINDOW_MS=40,		// Deltas are accumulated for this long
+	WHEEL_GESTURE_MS=250,	// A pause this long ends a wheel gesture
+	WHEEL_NOTCH_PX=100,		// One notch of a wheel mouse
+	WHEEL_LINE_PX=33,
+	WHEEL_PAGE_PX=800,
+	WHEEL_PX_PER_LEVEL=200,
+	WHEEL_MAX_LEVELS=2,		// Most zoom change per window
+	WHEEL_SNAP_THRESHOLD=0.5,
+	WHEEL_DURATION=0.25,
+	TOUCH_EVENTS=[
+		'touchstart',
+		'touchend',
+		'touchmove',
+		'touchcancel'
+	],
+	POINTER_EVENTS=[
+		'pointerdown',
+		'pointermove',
+		'pointerup',
+		'pointercancel'
+	],
+	// The mouse or touch event that each pointer event stands in for
+	POINTER_TO_MOUSE={
+		pointerdown: 'mousedown',
+		pointermove: 'mousemove',
+		pointerup: 'mouseup'
+	},
+	POINTER_TO_TOUCH={
+		pointerdown: 'touchstart',
+		pointermove: 'touchmove',
+		pointerup: 'touchend',
+		pointercancel: 'touchcancel'
+	};
 
 /**
  * MotionEvent instances are passed to handler functions
@@ -35,8 +76,19 @@ function MotionEvent(type) {
 	 * took place.
 	 * <li>'drag': A single step in a drag gesture.  deltaX and deltaY
 	 * describe magnitude of this change
-	 * <li>'pinch': Single step of a pinch gesture.  This is a combined move
-	 * and zoom and has fields deltaX, deltaY and deltaZoom
+	 * <li>'pinch': Single step of a pinch gesture.  This is a combined move,
+	 * zoom and rotate and has fields deltaX, deltaY, deltaZoom and deltaBearing
+	 * <li>'dragend': A drag or pinch gesture has finished.  No further
+	 * deltas follow.  velocityX and velocityY give the speed of the
+	 * pointer at release.
+	 * <li>'boxzoom': A rectangle has been dragged out with shift held
+	 * down.  left, top, width and height give the rectangle in viewport
+	 * coordinates and x, y its center.  By default, the map is fit to the
+	 * rectangle.  Handle it to use the rectangle for something else, such
+	 * as selecting an area.
+	 * <li>'contextmenu': The browser is about to show its context menu
+	 * (usually from a right click).  If the event is handled, the browser
+	 * menu is suppressed so that the application can show its own.
 	 * <li>'longtap': A press and hold gesture has been detected.  If it is
 	 * handled, it will stop default processing which will either allow
 	 * panning/pinching or interpetation as a normal click/multi-click.
@@ -59,9 +111,59 @@ function MotionEvent(type) {
 function MotionController(map) {
 	function dispatch(motionEvent) {
 		//console.log('dispatch motion event: ' + motionEvent.type + ': ' + motionEvent.count);
+		velocityTrack(motionEvent);
 		map.dispatchMotionEvent(motionEvent);
 	}
 	
+	// ---- Velocity tracking
+	/**
+	 * Recent drag positions as {t:time, x:, y:}.  Only the last
+	 * KINETIC_SAMPLE_MS worth are kept.
+	 */
+	var velocitySamples=[];
+	
+	function velocityTrim(time) {
+		while (velocitySamples.length && (time-velocitySamples[0].t)>KINETIC_SAMPLE_MS)
+			velocitySamples.shift();
+	}
+	
+	function velocityTrack(motionEvent) {
+		var type=motionEvent.type, time=now(), first, last, dt;
+		if (type==='drag') {
+			velocityTrim(time);
+			velocitySamples.push({ t: time, x: motionEvent.x, y: motionEvent.y });
+		} else if (type==='pinch') {
+			// Pinches don't fling
+			velocitySamples.length=0;
+		} else if (type==='dragend') {
+			// If the pointer was held still before release, there will
+			// be nothing recent left and no velocity
+			velocityTrim(time);
+			first=velocitySamples[0];
+			last=velocitySamples[velocitySamples.length-1];
+			dt=last ? (last.t-first.t)/1000 : 0;
+			
+			/**
+			 * For dragend, the velocity of the pointer in x over
+			 * the last moments of the drag in pixels/s.
+			 * @public
+			 * @name velocityX
+			 * @memberOf nanomaps.MotionEvent#
+			 */
+			motionEvent.velocityX=dt>0 ? (last.x-first.x)/dt : 0;
+			
+			/**
+			 * For dragend, the velocity of the pointer in y over
+			 * the last moments of the drag in pixels/s.
+			 * @public
+			 * @name velocityY
+			 * @memberOf nanomaps.MotionEvent#
+			 */
+			motionEvent.velocityY=dt>0 ? (last.y-first.y)/dt : 0;
+			velocitySamples.length=0;
+		}
+	}
+	
 	// ---- Click Handling
 	/**
 	 * If a click is in progress, this will be an object
@@ -69,26 +171,32 @@ function MotionController(map) {
 	 * }
 	 */
 	var clickState,
-		clickAttached;
+		clickAttached,
+		clickWindow,
+		boxZoomEnabled,
+		boxElement;
 	
 	function clickAttach(attach) {
-		var document=map.elements.document;
+		var document=map.elements.document,
+			listener=pointerEnabled ? clickPointerEvent : clickHandleEvent,
+			prefix=pointerEnabled ? 'pointer' : 'mouse';
 		if (attach && !clickAttached) {
-			addEventListener(document, 'mouseup', clickHandleEvent);
-			addEventListener(document, 'mousemove', clickHandleEvent);
+			addEventListener(document, prefix + 'up', listener);
+			addEventListener(document, prefix + 'move', listener);
 			clickAttached=true;
 		} else if (!attach && clickAttached) {
-			removeEventListener(document, 'mouseup', clickHandleEvent);
-			removeEventListener(document, 'mousemove', clickHandleEvent);
+			removeEventListener(document, prefix + 'up', listener);
+			removeEventListener(document, prefix + 'move', listener);
 			clickAttached=false;
 		}
 	}
 	
-	function clickStart(event, coords) {
+	function clickStart(button, event, coords) {
 		clickCancel();
 		clickState={
-			b: event.button,
+			b: button,
 			s: STATE_DOWN,	// State
+			bz: boxZoomEnabled && button===0 && !!event.shiftKey,	// Drag draws a box
 			cnt: 0,			// Click count
 			cs: coords,		// Click start coords
 			cl: coords,		// Click last coords
@@ -98,7 +206,7 @@ function MotionController(map) {
 	}
 	
 	function clickStartTimer() {
-		setTimeout(function() {
+		clickState.ti=setTimeout(function() {
 			if (clickState && clickState.s===STATE_CLICK_PEND) {
 				clickState.ti=null;
 				clickDispatch();
@@ -162,30 +270,153 @@ function MotionController(map) {
 	
 	function clickCancel() {
 		clickStopTimer();
+		boxRemove();
 		clickState=null;
 	}
 	
+	function focusMap() {
+		var parent=map.elements.parent;
+		if (parent.focus && map.elements.document.activeElement!==parent) parent.focus();
+	}
+	
+	/**
+	 * Answers whether the tracked button is still down (as opposed to
+	 * released and waiting to see if a double click follows)
+	 */
+	function clickHeld() {
+		return !!clickState && (clickState.s===STATE_DOWN ||
+			clickState.s===STATE_DRAG || clickState.s===STATE_BOX);
+	}
+	
+	/**
+	 * Abandon the click in progress when the mouseup may never come
+	 * (the browser took over with a context menu or the window lost
+	 * focus).  A drag in progress is ended where it last was.  A click
+	 * whose button was already released is left to complete.
+	 */
+	function clickReset() {
+		if (!clickHeld()) return;
+		if (clickState.s===STATE_DRAG) {
+			dispatchDragEnd(clickState.b, clickState.cl.x, clickState.cl.y);
+		}
+		clickCancel();
+		clickAttach(false);
+	}
+	
+	// ---- Box zoom
+	/**
+	 * Draw the rubber band rectangle between two viewport coordinates
+	 * in the overlay layer, creating it if needed.
+	 */
+	function boxDraw(start, end) {
+		var style;
+		if (!boxElement) {
+			boxElement=map.createElement('div');
+			boxElement.className='nmboxzoom';
+			style=boxElement.style;
+			style.position='absolute';
+			style.border='1px dashed #333';
+			map.layer('overlay').appendChild(boxElement);
+		}
+		style=boxElement.style;
+		style.left=Math.min(start.x, end.x) + 'px';
+		style.top=Math.min(start.y, end.y) + 'px';
+		style.width=Math.abs(end.x-start.x) + 'px';
+		style.height=Math.abs(end.y-start.y) + 'px';
+	}
+	
+	function boxRemove() {
+		if (boxElement) {
+			if (boxElement.parentNode) boxElement.parentNode.removeChild(boxElement);
+			boxElement=null;
+		}
+	}
+	
+	function boxDispatch(button, start, end) {
+		var me=new MotionEvent('boxzoom'),
+			width=Math.abs(end.x-start.x),
+			height=Math.abs(end.y-start.y);
+		
+		// Too small to mean anything
+		if (width<BOXZOOM_MIN_PX || height<BOXZOOM_MIN_PX) return;
+		
+		me.button=button;
+		
+		/**
+		 * For boxzoom, the left edge of the rectangle in viewport
+		 * coordinates.
+		 * @public
+		 * @name left
+		 * @memberOf nanomaps.MotionEvent#
+		 */
+		me.left=Math.min(start.x, end.x);
+		
+		/**
+		 * For boxzoom, the top edge of the rectangle in viewport
+		 * coordinates.
+		 * @public
+		 * @name top
+		 * @memberOf nanomaps.MotionEvent#
+		 */
+		me.top=Math.min(start.y, end.y);
+		
+		/**
+		 * For boxzoom, the width of the rectangle in pixels.
+		 * @public
+		 * @name width
+		 * @memberOf nanomaps.MotionEvent#
+		 */
+		me.width=width;
+		
+		/**
+		 * For boxzoom, the height of the rectangle in pixels.
+		 * @public
+		 * @name height
+		 * @memberOf nanomaps.MotionEvent#
+		 */
+		me.height=height;
+		me.x=me.left+width/2;
+		me.y=me.top+height/2;
+		
+		dispatch(me);
+	}
+	
+	function dispatchDragEnd(button, x, y) {
+		var me=new MotionEvent('dragend');
+		me.button=button;
+		me.x=x;
+		me.y=y;
+		dispatch(me);
+	}
+	
 	/**
 	 * This is the target of all click events
-	 * (mousedown, mouseup, mousemove, mousewheel)
+	 * (mousedown, mouseup, mousemove).  When driven by pointer
+	 * events, type gives the mouse event that the event stands in for.
 	 */
-	function clickHandleEvent(event) {
-		// Filter out any events that
-		// are not the first button.
-		// We'll enable other clicks later but they are tricky-tricky
-		// to get right.
-		if (!isLeftClick(event)) return;
-		//console.log('handleClickEvent: ' + event.type + ' button=' + event.button);
+	function clickHandleEvent(event, type) {
+		var button=getMouseButton(event),
+			coords, me;
+		if (!type) type=event.type;
+		//console.log('handleClickEvent: ' + type + ' button=' + button);
+		
+		// Only one button is tracked at a time.  Others pressed or
+		// released while it is down are ignored.  Browsers don't agree
+		// on the button of a mousemove, so it is not checked.
+		if (type==='mouseup' && (!clickState || button!==clickState.b)) return;
+		if (type==='mousedown' && clickHeld()) return;
 		
 		// It's ours now
 		stopEvent(event);
 		
-		var coords=map.eventToContainer(event),
-			me;
+		coords=map.eventToContainer(event);
 		
-		switch (event.type) {
+		switch (type) {
 		case 'mousemove':
-			if (clickState.s===STATE_DOWN || clickState.s===STATE_DRAG) {
+			if (clickState.bz && (clickState.s===STATE_DOWN || clickState.s===STATE_BOX)) {
+				clickState.s=STATE_BOX;
+				boxDraw(clickState.cs, coords);
+			} else if (clickState.s===STATE_DOWN || clickState.s===STATE_DRAG) {
 				clickState.s=STATE_DRAG;
 				me=new MotionEvent('drag');
 				me.button=clickState.b;
@@ -215,25 +446,39 @@ function MotionController(map) {
 			break;
 
 		case 'mousedown':
+			// Catch the map if it is gliding
+			map.stop();
+			velocitySamples.length=0;
+			
+			// stopEvent keeps the browser from focusing the map, so do it
+			// here for keyboard navigation
+			if (map._keyboard) focusMap();
+			
 			if (clickState && clickState.s===STATE_CLICK_PEND) {
-				if ((now()-clickState.t)>CLICK_DOUBLE_MS) {
+				if ((now()-clickState.t)>CLICK_DOUBLE_MS || button!==clickState.b) {
 					// Not a valid followon click
 					// Dispatch current and reset
 					clickDispatch();
-					clickStart(event, coords);
+					clickStart(button, event, coords);
 				} else {
 					// Just let it resume the click sequence
 					clickState.s=STATE_DOWN;
 					clickStopTimer();
 				}
 			} else {
-				clickStart(event, coords);
+				clickStart(button, event, coords);
 			}
 			clickAttach(true);
 			break;
 			
 		case 'mouseup':
 			clickAttach(false);
+			if (clickState.s===STATE_BOX) {
+				boxRemove();
+				boxDispatch(clickState.b, clickState.cs, coords);
+				clickCancel();
+				break;
+			}
 			clickState.cnt++;
 			if (clickState.s===STATE_DOWN) {
 				// Start the double click timer
@@ -241,6 +486,7 @@ function MotionController(map) {
 				clickState.t=now();
 				clickStartTimer();
 			} else {
+				if (clickState.s===STATE_DRAG) dispatchDragEnd(clickState.b, coords.x, coords.y);
 				clickCancel();
 			}
 			break;
@@ -249,41 +495,85 @@ function MotionController(map) {
 	}
 	
 	/**
-	 * Handle mouse wheel events
-	 * This is still shaky.  I think we need an interval timer
-	 * and accumulator to straighten it out.  I also need a real
-	 * scroll wheel mouse.
+	 * Offer the browser context menu event to the map.  The browser
+	 * menu is only suppressed if something handles it.
+	 */
+	function contextMenuHandleEvent(event) {
+		var coords=map.eventToContainer(event),
+			me=new MotionEvent('contextmenu');
+		me.button=2;
+		me.x=coords.x;
+		me.y=coords.y;
+		dispatch(me);
+		
+		if (me.handled) {
+			stopEvent(event);
+		} else if (clickState && clickState.b===2) {
+			// Where the menu opens on mousedown (not on Windows, where it
+			// follows the mouseup), the mouseup goes to the menu instead
+			clickReset();
+		}
+	}
+	
+	// ---- Wheel handling
+	/**
+	 * If wheel deltas are being accumulated, this will be an object
+	 * {d: zoom levels, x:, y: last pointer position, ti: timer id}
+	 */
+	var wheelState;
+	
+	/**
+	 * Handle mouse wheel events (wheel, mousewheel, DOMMouseScroll)
 	 */
 	function wheelHandleEvent(event) {
 		stopEvent(event);
 		clickCancel();
 		clickAttach(false);
 		
-		var delta, factor=10.0,
-			coords=map.eventToContainer(event), 
+		var coords=map.eventToContainer(event);
+		
+		// Wheels and trackpads can fire far faster than is useful to
+		// zoom.  Sum up a window's worth and dispatch it as one.
+		if (!wheelState) {
+			wheelState={
+				d: 0,	// Accumulated zoom levels
+				ti: setTimeout(wheelDispatch, WHEEL_WINDOW_MS)
+			};
+		}
+		wheelState.d-=wheelDeltaPx(event)/WHEEL_PX_PER_LEVEL;
+		wheelState.x=coords.x;
+		wheelState.y=coords.y;
+	}
+	
+	function wheelDispatch() {
+		var delta=wheelState.d,
 			me=new MotionEvent('scroll');
-		if (event.wheelDelta) delta=event.wheelDelta/120;	// IE
-		else if (event.delta) delta=-event.delta/3;
-		else delta=-event.detail/3;
 		
-		// Wheel deltas can get pretty crazy.  Clamp them
-		delta/=factor;
-		if (delta>2.0) delta=2.0;
-		else if (delta<-2.0) delta=-2.0;
+		if (delta>WHEEL_MAX_LEVELS) delta=WHEEL_MAX_LEVELS;
+		else if (delta<-WHEEL_MAX_LEVELS) delta=-WHEEL_MAX_LEVELS;
 		
-		me.x=coords.x;
-		me.y=coords.y;
+		me.x=wheelState.x;
+		me.y=wheelState.y;
 		
 		/**
-		 * For 'scroll' events, this is the approximated zoom
-		 * level change based on the magnitude of the scroll.
+		 * For 'scroll' events, this is the zoom level change for
+		 * all wheel movement over a short window.  One notch of a
+		 * typical wheel mouse is half a level.
 		 * @public
 		 * @memberOf nanomaps.MotionEvent#
 		 * @name deltaZoom
 		 */
-		me.deltaZoom=delta/factor;
+		me.deltaZoom=delta;
 		
-		dispatch(me);
+		wheelState=null;
+		if (delta) dispatch(me);
+	}
+	
+	function wheelCancel() {
+		if (wheelState) {
+			clearTimeout(wheelState.ti);
+			wheelState=null;
+		}
 	}
 	
 	// -- Touch handling
@@ -377,7 +667,8 @@ function MotionController(map) {
 			pdx=prevXY1.x-prevXY2.x,
 			pdy=prevXY1.y-prevXY2.y,
 			cmag=Math.sqrt(cdx*cdx+cdy*cdy),
-			pmag=Math.sqrt(pdx*pdx+pdy*pdy);
+			pmag=Math.sqrt(pdx*pdx+pdy*pdy),
+			angle=Math.atan2(cdy, cdx) - Math.atan2(pdy, pdx);
 		
 		me.button=0;
 		me.x=ccX;
@@ -395,29 +686,58 @@ function MotionController(map) {
 		 */
 		me.deltaZoom=Math.log(cmag/pmag) * 1.5;
 		
+		// Screen angle (clockwise) the touches turned through.  Nothing
+		// rotates until the gesture has twisted past the threshold so
+		// that plain pinches don't rotate by accident.
+		if (angle>Math.PI) angle-=2*Math.PI;
+		else if (angle<-Math.PI) angle+=2*Math.PI;
+		if (!touchState.ro) {
+			touchState.ra+=angle;
+			if (Math.abs(touchState.ra)*RAD_TO_DEG<TOUCH_ROTATE_THRESHOLD) angle=0;
+			else touchState.ro=true;
+		}
+		
+		/**
+		 * For pinch, this is the change in bearing in degrees that should
+		 * be applied around the centroid (x,y).  Turning the touches
+		 * clockwise turns the map with them, reducing the bearing.
+		 * @public
+		 * @name deltaBearing
+		 * @memberOf nanomaps.MotionEvent#
+		 */
+		me.deltaBearing=-angle*RAD_TO_DEG;
+		
 		//console.log('pinch: deltaXY=(' + me.deltaX + ',' + me.deltaY + '), deltaZoom=' + me.deltaZoom);
 		dispatch(me);
 	}
 	
 	function touchHandleEvent(event) {
-		var type=event.type,
-			currentTouches;
-			
 		stopEvent(event);
 		
 		// Extract current touches and translate to local coordinates
-		currentTouches=touchTranslate(event.touches);
-		
-		//console.log('ontouch: ' + event.type + ', touches=' + currentTouches.length);
+		touchProcess(event.type, touchTranslate(event.touches));
+	}
+	
+	/**
+	 * Advance the touch state machine.  type is the touch event
+	 * name and currentTouches is the viewport coordinates of all
+	 * touches still down, in the order that they went down.
+	 */
+	function touchProcess(type, currentTouches) {
+		//console.log('ontouch: ' + type + ', touches=' + currentTouches.length);
 		
 		// Handle touch start
 		if (type==='touchstart') {
+			// Catch the map if it is gliding
+			map.stop();
+			velocitySamples.length=0;
+			
 			// Handle followon tap
 			if (touchState && touchState.s===STATE_CLICK_PEND) {
 				if ((now()-touchState.te)>TOUCH_DOUBLE_MS) {
 					// Not a valid followon tap
 					// Dispatch current and reset
-					touchDispatch();
+					touchDispatchTap();
 					touchCancel();
 					
 					// Fall through to normal touch start
@@ -439,7 +759,9 @@ function MotionController(map) {
 					te: 0,				// Last touch end time
 					ts: now(),			// Current touch start time
 					ti: null,			// Touch timer id
-					cnt: 0				// Number of consecutive touches
+					cnt: 0,				// Number of consecutive touches
+					ra: 0,				// Twist of the pinch so far (radians)
+					ro: false			// True once the twist passes the threshold
 				};
 				touchStartLongTapTimer();
 			} else {
@@ -452,7 +774,7 @@ function MotionController(map) {
 		// Don't do anything else if not in a touch state
 		if (!touchState) return;
 		
-		switch (event.type) {
+		switch (type) {
 		case 'touchmove':
 			if (currentTouches.length===1) {
 				if (touchState.s===STATE_DRAG ||
@@ -465,7 +787,7 @@ function MotionController(map) {
 					// Single touch over touch threshold
 					if (touchState.s===STATE_CLICK_PEND) {
 						// Dispatch pending and reset
-						touchDispatch();
+						touchDispatchTap();
 						touchState.cnt=0;
 					}
 					
@@ -502,6 +824,7 @@ function MotionController(map) {
 					touchState.te=now();
 					touchStartClickTimer();
 				} else {
+					if (touchState.s===STATE_DRAG) dispatchDragEnd(0, touchState.t[0].x, touchState.t[0].y);
 					touchCancel();
 				}
 			} else {
@@ -509,34 +832,124 @@ function MotionController(map) {
 			}
 			break;
 		case 'touchcancel':
+			if (touchState.s===STATE_DRAG) dispatchDragEnd(0, touchState.t[0].x, touchState.t[0].y);
 			touchCancel();
 			break;
 		}
 	}
 	
+	// -- Pointer handling
+	/**
+	 * When pointer events are available, they replace the mouse and
+	 * touch listeners.  Mouse pointers drive the click state machine
+	 * and touch and pen pointers drive the touch state machine.
+	 * Touch and pen pointers that are down are kept here in the order
+	 * that they went down as {id: pointerId, x:, y:} so that the
+	 * touch state machine sees a stable list.
+	 */
+	var pointerEnabled,
+		pointerClick,
+		pointerTouch,
+		savedTouchAction,	// touch-action of the event element before listen
+		pointers=[];
+	
+	function pointerIndex(id) {
+		for (var i=0; i<pointers.length; i++) {
+			if (pointers[i].id===id) return i;
+		}
+		return -1;
+	}
+	
+	/**
+	 * Target of pointer events on the event layer
+	 */
+	function pointerHandleEvent(event) {
+		var type=event.type,
+			id=event.pointerId,
+			index=pointerIndex(id),
+			target=map.elements.event,
+			coords, currentTouches, i;
+		
+		if (event.pointerType==='mouse') {
+			// Moves and ups are tracked on the document once down
+			if (pointerClick && type==='pointerdown') clickHandleEvent(event, 'mousedown');
+			return;
+		}
+		if (!pointerTouch) return;
+		
+		// Ignore pens hovering and pointers that went down elsewhere
+		if (type==='pointerdown') {
+			if (index<0) index=pointers.push({ id: id })-1;
+			// Keep getting moves if the pointer leaves the map
+			if (target.setPointerCapture) target.setPointerCapture(id);
+		} else if (index<0) {
+			return;
+		}
+		stopEvent(event);
+		
+		coords=map.eventToContainer(event);
+		pointers[index].x=coords.x;
+		pointers[index].y=coords.y;
+		if (type==='pointerup' || type==='pointercancel') pointers.splice(index, 1);
+		
+		currentTouches=[];
+		for (i=0; i<pointers.length; i++) {
+			currentTouches.push({ x: pointers[i].x, y: pointers[i].y });
+		}
+		touchProcess(POINTER_TO_TOUCH[type], currentTouches);
+	}
+	
+	/**
+	 * Target of document pointer events while a mouse button is down
+	 */
+	function clickPointerEvent(event) {
+		if (event.pointerType==='mouse' && clickState) {
+			clickHandleEvent(event, POINTER_TO_MOUSE[event.type]);
+		}
+	}
+	
 	/**
 	 * Listen to all motion related events on
-	 * the map.
+	 * the map.  Pointer events are used for both mouse and touch
+	 * if the browser has them.  Otherwise mouse and touch events are.
 	 *
 	 * @methodOf Nanomaps.MotionController#
 	 */
-	this.listen=function(enableClick, enableTouch, enableWheel) {
+	this.listen=function(enableClick, enableTouch, enableWheel, enableBoxZoom) {
 		var elements=map.elements,
 			target=elements.event,
 			parent=elements.parent,
-			touchEvents=[
-				'touchstart',
-				'touchend',
-				'touchmove',
-				'touchcancel'
-			],
 			i;
 		
+		boxZoomEnabled=!!enableBoxZoom;
+		if (enableClick) {
+			// Releasing the button outside of the window goes unseen
+			clickWindow=elements.document.defaultView||window;
+			addEventListener(clickWindow, 'blur', clickReset);
+		}
+		pointerEnabled=!!window.PointerEvent && !!target.addEventListener;
+		if (pointerEnabled) {
+			pointerClick=!!enableClick;
+			pointerTouch=!!enableTouch;
+			if (enableClick || enableTouch) {
+				for (i=0; i<POINTER_EVENTS.length; i++) {
+					addEventListener(target, POINTER_EVENTS[i], pointerHandleEvent);
+				}
+				// Otherwise the browser claims touches for scrolling.
+				// The page's own value is put back by unlisten.
+				if (savedTouchAction===undefined) savedTouchAction=target.style.touchAction||'';
+				target.style.touchAction='none';
+			}
+			if (enableClick) addEventListener(target, 'contextmenu', contextMenuHandleEvent);
+			enableClick=enableTouch=false;
+		}
+		
 		if (enableClick) {
 			// Just listen for mousedown to start with
 			// We will listen for mousemove and mouseup
 			// on document when we enter a down state
 			addEventListener(target, 'mousedown', clickHandleEvent);
+			addEventListener(target, 'contextmenu', contextMenuHandleEvent);
 			
 			// Also listen on the parent so that we get mousedowns
 			// that bubble up the hierarchy from inactive elements
@@ -545,13 +958,58 @@ function MotionController(map) {
 		}
 		
 		if (enableWheel) {
-			addEventListener(target, 'DOMMouseScroll', wheelHandleEvent);
-			addEventListener(target, 'mousewheel', wheelHandleEvent);
+			// Only listen to one flavor so that nothing is counted twice
+			if ('onwheel' in elements.document.createElement('div')) {
+				addEventListener(target, 'wheel', wheelHandleEvent);
+			} else {
+				addEventListener(target, 'DOMMouseScroll', wheelHandleEvent);
+				addEventListener(target, 'mousewheel', wheelHandleEvent);
+			}
 		}
 		
 		if (enableTouch && target.addEventListener) {
-			for (i=0; i<touchEvents.length; i++) {
-				target.addEventListener(touchEvents[i], touchHandleEvent, true);
+			for (i=0; i<TOUCH_EVENTS.length; i++) {
+				target.addEventListener(TOUCH_EVENTS[i], touchHandleEvent, true);
+			}
+		}
+	};
+	
+	/**
+	 * Stop listening to all events and cancel any gesture
+	 * in progress.
+	 *
+	 * @methodOf Nanomaps.MotionController#
+	 */
+	this.unlisten=function() {
+		var target=map.elements.event,
+			i;
+		
+		clickCancel();
+		clickAttach(false);
+		wheelCancel();
+		if (clickWindow) {
+			removeEventListener(clickWindow, 'blur', clickReset);
+			clickWindow=null;
+		}
+		if (savedTouchAction!==undefined) {
+			target.style.touchAction=savedTouchAction;
+			savedTouchAction=undefined;
+		}
+		touchCancel();
+		pointers.length=0;
+		
+		for (i=0; i<POINTER_EVENTS.length; i++) {
+			removeEventListener(target, POINTER_EVENTS[i], pointerHandleEvent);
+		}
+		
+		removeEventListener(target, 'mousedown', clickHandleEvent);
+		removeEventListener(target, 'contextmenu', contextMenuHandleEvent);
+		removeEventListener(target, 'wheel', wheelHandleEvent);
+		removeEventListener(target, 'DOMMouseScroll', wheelHandleEvent);
+		removeEventListener(target, 'mousewheel', wheelHandleEvent);
+		if (target.removeEventListener) {
+			for (i=0; i<TOUCH_EVENTS.length; i++) {
+				target.removeEventListener(TOUCH_EVENTS[i], touchHandleEvent, true);
 			}
 		}
 	};
@@ -560,6 +1018,12 @@ function MotionController(map) {
 MapSurfaceMethods.advise('initialize', 'after', function(options) {
 	var motionController=new MotionController(this);
 	
+	this._kinetic=!options.noKinetic;
+	this._touchRotate=!!options.touchRotate;
+	this._wheelSnap=!!options.wheelSnap;
+	this._wheelAcc=0;
+	this._wheelTime=0;
+	
 	/**
 	 * Controller for motion related events (touch, click)
 	 * @public
@@ -570,13 +1034,18 @@ MapSurfaceMethods.advise('initialize', 'after', function(options) {
 	motionController.listen(
 		!options.noClick,
 		!options.noTouch,
-		!options.noWheel
+		!options.noWheel,
+		!options.noBoxZoom
 		);
 		
 	// TODO: This is temp.  Going to do a CSS approach later.
 	//this.elements.event.style.cursor='move';
 });
 
+MapSurfaceMethods.advise('destroy', 'before', function() {
+	this.motionController.unlisten();
+});
+
 /**
  * Dispatch a MotionEvent for processing.  This will emit
  * the 'motion' event on the map and then call handleMotionEvent
@@ -611,21 +1080,51 @@ MapSurfaceMethods.dispatchMotionEvent=function(motionEvent) {
  * @param motionEvent {nanomaps.MotionEvent}
  */
 MapSurfaceMethods.handleMotionEvent=function(motionEvent) {
-	if (motionEvent.handled) return;
+	// Default actions are only for the primary button.  Clicks and
+	// drags with other buttons are left to the application.
+	if (motionEvent.handled || motionEvent.button) return;
 	
-	var type=motionEvent.type, deltaZoom;
+	var type=motionEvent.type, deltaZoom, resistance=1, mapState;
 	if (type==='drag' || type==='pinch') {
+		// Already pulled past the bounds?  Make it feel like it.
+		if (this._bounceBack && this._constrain(new MapState(this._pendMapState))) resistance=0.5;
 		this.begin();
-		this.moveBy(motionEvent.deltaX, -motionEvent.deltaY);
+		// One of many commits per frame.  Let the display catch up once.
+		this._pendBurst=true;
+		// With bounceBack, only this transaction may leave the bounds
+		this._pendElastic=this._bounceBack;
+		this.moveBy(motionEvent.deltaX*resistance, -motionEvent.deltaY*resistance);
 		deltaZoom=Number(motionEvent.deltaZoom);
 		if (!isNaN(deltaZoom)) {
 			this.setZoom(this.getZoom() + deltaZoom, motionEvent.x, motionEvent.y);
 		}
+		if (this._touchRotate && motionEvent.deltaBearing) {
+			this.setBearing(this.getBearing() + motionEvent.deltaBearing, motionEvent.x, motionEvent.y);
+		}
 		this.commit();
 		motionEvent.handled=true;
+	} else if (type==='dragend') {
+		if (this._bounceBack && this._constrain(new MapState(this._pendMapState))) {
+			// Pulled past the bounds.  Bounce back within them.
+			this.begin();
+			this.commit(true);
+			motionEvent.handled=true;
+			return;
+		}
+		if (this._kinetic) this._fling(motionEvent.velocityX, motionEvent.velocityY);
+		motionEvent.handled=true;
 	} else if (type==='scroll') {
-		this.setZoom(this.getZoom()+motionEvent.deltaZoom, 
-			motionEvent.x, motionEvent.y);
+		this._wheelZoom(motionEvent.deltaZoom, motionEvent.x, motionEvent.y);
+		motionEvent.handled=true;
+	} else if (type==='boxzoom') {
+		// Center on the box and zoom so that it fills the viewport
+		mapState=this._pendMapState;
+		this.begin();
+		this.setLocation(this.getLocation(motionEvent.x, motionEvent.y));
+		this.setZoom(this.getZoom() + Math.log(Math.min(
+			mapState.w/motionEvent.width,
+			mapState.h/motionEvent.height)) / Math.LN2);
+		this.commit(true);
 		motionEvent.handled=true;
 	} else if (type==='click' && motionEvent.count===2) {
 		// Double-click to zoom
@@ -636,4 +1135,99 @@ MapSurfaceMethods.handleMotionEvent=function(motionEvent) {
 	}
 };
 
+/**
+ * Get the vertical distance of a wheel event in pixels, positive
+ * being towards the user (zoom out).  Handles the standard 'wheel'
+ * event in any delta mode as well as the older 'mousewheel' and
+ * Firefox 'DOMMouseScroll' events.
+ * @private
+ */
+function wheelDeltaPx(event) {
+	var delta;
+	if (event.type==='wheel') {
+		delta=event.deltaY;
+		if (event.deltaMode===1) delta*=WHEEL_LINE_PX;
+		else if (event.deltaMode===2) delta*=WHEEL_PAGE_PX;
+	} else if (event.type==='mousewheel') {
+		// Multiples of 120 per notch, positive away from the user
+		delta=-('wheelDeltaY' in event ? event.wheelDeltaY : event.wheelDelta) * WHEEL_NOTCH_PX/120;
+	} else {
+		// DOMMouseScroll: lines (3 per notch) on either axis
+		if (event.axis && event.axis===event.HORIZONTAL_AXIS) return 0;
+		delta=event.detail * WHEEL_NOTCH_PX/3;
+	}
+	return Number(delta)||0;
+}
+
+/**
+ * Zoom by the given amount about a viewport point in response to
+ * the mouse wheel, animating so that the point stays put.  With the
+ * wheelSnap option, partial levels are held until they add up to
+ * a step and the map only lands on integral levels.
+ * @private
+ * @name _wheelZoom
+ * @methodOf nanomaps.MapSurface.prototype
+ */
+MapSurfaceMethods._wheelZoom=function(deltaZoom, x, y) {
+	var zoom=this.getZoom(),
+		time=now(),
+		acc, steps, level;
+	
+	if (this._wheelSnap) {
+		if ((time-this._wheelTime)>WHEEL_GESTURE_MS) this._wheelAcc=0;
+		this._wheelTime=time;
+		acc=this._wheelAcc+=deltaZoom;
+		if (Math.abs(acc)<WHEEL_SNAP_THRESHOLD) return;
+		this._wheelAcc=0;
+		
+		// Step from the nearest level if already (nearly) on one
+		steps=Math.max(1, Math.round(Math.abs(acc)));
+		if (Math.abs(zoom-Math.round(zoom))<1e-6) zoom=Math.round(zoom);
+		level=acc>0 ? Math.floor(zoom)+steps : Math.ceil(zoom)-steps;
+	} else {
+		level=zoom+deltaZoom;
+	}
+	
+	this.begin();
+	this.setZoom(level, x, y);
+	this.commit({
+		curve: 'ease-out',
+		duration: WHEEL_DURATION,
+		anchor: { x: x, y: y }
+	});
+};
+
+/**
+ * Animation curve for momentum: an exponential decay over
+ * KINETIC_DURATION normalized to end at 1.
+ * @private
+ */
+function kineticCurve(t, xy) {
+	if (!xy) xy=[];
+	var k=KINETIC_DURATION/KINETIC_TIME_CONSTANT;
+	xy[0]=xy[1]=(1-Math.exp(-k*t)) / (1-Math.exp(-k));
+	return xy;
+}
 
+/**
+ * Continue moving the map after a drag is released at the given
+ * pointer velocity (pixels/s), decaying to a stop.  The glide is a
+ * normal animated commit so it stops at maxBounds, is replaced by
+ * any other commit and is stopped by MapSurface.stop.
+ * @private
+ * @name _fling
+ * @methodOf nanomaps.MapSurface.prototype
+ */
+MapSurfaceMethods._fling=function(velocityX, velocityY) {
+	var speed=Math.sqrt(velocityX*velocityX + velocityY*velocityY),
+		scale;
+	if (!(speed>=KINETIC_MIN_SPEED)) return;
+	
+	scale=Math.min(speed, KINETIC_MAX_SPEED)/speed * KINETIC_TIME_CONSTANT;
+	this.begin();
+	this.moveBy(-velocityX*scale, velocityY*scale);
+	this.commit({
+		curve: kineticCurve,
+		duration: KINETIC_DURATION
+	});
+};
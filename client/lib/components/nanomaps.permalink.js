@@ -0,0 +1,212 @@
+/**
+ * nanomaps.permalink.js
+ * Keep the url hash in sync with the map view so that the current
+ * view can be bookmarked and shared.
+ */
+
+var PERMALINK_DEBOUNCE_MS=250;
+
+/**
+ * A Permalink keeps window.location.hash in sync with the committed
+ * MapState of a map in the form:
+ * <pre>
+ * 	#zoom/lat/lng
+ * 	#zoom/lat/lng/bearing	(if the map is rotated)
+ * </pre>
+ * When started and whenever the hash changes, the view is restored from the
+ * hash within a single transaction.  Hash updates are made when the map
+ * finishes moving ('moveend') and are debounced so that drags and animations
+ * do not flood the browser's history machinery.  Changes to the hash made
+ * by the Permalink itself and moves caused by restoring from the hash are
+ * ignored.
+ * <pre>
+ * 	var permalink=new nanomaps.Permalink(map);
+ * 	permalink.start();
+ * </pre>
+ *
+ * @constructor
+ * @public
+ * @name nanomaps.Permalink
+ * @param map {nanomaps.MapSurface}
+ * @param [options.window=window] Window whose location is synchronized
+ * @param [options.precision=5] Number of decimal places of lat/lng to write
+ * @param [options.animate=false] Passed to commit() when restoring on hashchange
+ */
+function Permalink(map, options) {
+	if (!options) options={};
+	var self=this;
+	this.map=map;
+	this.window=options.window||window;
+	this.precision=options.precision===undefined ? 5 : options.precision;
+	this.animate=options.animate||false;
+	
+	this._restoredHash=null;
+	this._lastHash=null;
+	this._ti=null;
+	this._started=false;
+	
+	// Bound listeners so that they can be removed
+	this._onmoveend=function() {
+		// The moveend of a restore comes from its commit (or when its
+		// animation ends), so it is recognized by the view it lands on
+		if (self._restoredHash!==null && self.format()===self._restoredHash) return;
+		self._restoredHash=null;
+		self._schedule();
+	};
+	this._onhashchange=function() {
+		if (self.window.location.hash!==self._lastHash) self.restore(self.animate);
+	};
+	this._ondestroy=function() {
+		self.stop();
+	};
+}
+
+Permalink.prototype={
+	/**
+	 * Restore the view from the current hash (if valid) and begin
+	 * synchronizing.
+	 * @public
+	 * @methodOf nanomaps.Permalink.prototype
+	 * @name start
+	 */
+	start: function() {
+		if (this._started) return;
+		this._started=true;
+		
+		if (!this.restore(false)) this.update();
+		this.map.on('moveend', this._onmoveend);
+		this.map.on('destroy', this._ondestroy);
+		addEventListener(this.window, 'hashchange', this._onhashchange);
+	},
+	
+	/**
+	 * Stop synchronizing.  The hash is left as-is.
+	 * @public
+	 * @methodOf nanomaps.Permalink.prototype
+	 * @name stop
+	 */
+	stop: function() {
+		if (!this._started) return;
+		this._started=false;
+		
+		if (this._ti) clearTimeout(this._ti);
+		this._ti=null;
+		this.map.removeListener('moveend', this._onmoveend);
+		this.map.removeListener('destroy', this._ondestroy);
+		removeEventListener(this.window, 'hashchange', this._onhashchange);
+	},
+	
+	/**
+	 * Format the map's current view as a hash string (including
+	 * the leading '#').
+	 * @public
+	 * @methodOf nanomaps.Permalink.prototype
+	 * @name format
+	 * @return {String}
+	 */
+	format: function() {
+		var map=this.map,
+			location=map.getLocation(),
+			bearing=map.getBearing(),
+			precision=this.precision,
+			hash='#' + (Math.round(map.getZoom()*100)/100) +
+				'/' + location.lat().toFixed(precision) +
+				'/' + location.lng().toFixed(precision);
+		if (bearing) hash+='/' + (Math.round(bearing*10)/10);
+		return hash;
+	},
+	
+	/**
+	 * Parse a hash string into {zoom:, lat:, lng:, bearing: }.  Returns
+	 * null if the hash is not a valid view.
+	 * @public
+	 * @methodOf nanomaps.Permalink.prototype
+	 * @name parse
+	 * @param hash {String}
+	 * @return {Object}
+	 */
+	parse: function(hash) {
+		var parts=String(hash||'').replace(/^#/, '').split('/'),
+			view;
+		if (parts.length<3 || parts.length>4) return null;
+		
+		view={
+			zoom: Number(parts[0]),
+			lat: Number(parts[1]),
+			lng: Number(parts[2]),
+			bearing: Number(parts[3]||0)
+		};
+		if (!parts[0] || !parts[1] || !parts[2] || 
+			isNaN(view.zoom) || isNaN(view.lat) || isNaN(view.lng) || isNaN(view.bearing)) 
+			return null;
+		return view;
+	},
+	
+	/**
+	 * Restore the map view from the current hash.
+	 * @public
+	 * @methodOf nanomaps.Permalink.prototype
+	 * @name restore
+	 * @param animate {boolean|Object} passed to commit()
+	 * @return true if the hash was valid and the view restored
+	 */
+	restore: function(animate) {
+		var map=this.map,
+			hash=this.window.location.hash,
+			view=this.parse(hash);
+		if (!view) return false;
+		
+		this._lastHash=hash;
+		if (this._ti) clearTimeout(this._ti);
+		this._ti=null;
+		
+		map.begin();
+		map.setZoom(view.zoom);
+		map.setBearing(view.bearing);
+		map.setLocation(view);
+		
+		// Remember what the restored view formats to so that the
+		// moveend it causes (during commit or after the animation)
+		// doesn't rewrite the hash
+		this._restoredHash=this.format();
+		map.commit(animate);
+		return true;
+	},
+	
+	/**
+	 * Write the current view to the hash immediately.  The browser history
+	 * is replaced rather than added to where supported.
+	 * @public
+	 * @methodOf nanomaps.Permalink.prototype
+	 * @name update
+	 */
+	update: function() {
+		var location=this.window.location,
+			hash=this.format();
+		if (this._ti) clearTimeout(this._ti);
+		this._ti=null;
+		if (hash===location.hash) return;
+		
+		this._lastHash=hash;
+		if (location.replace) location.replace(hash);
+		else location.hash=hash;
+	},
+	
+	/**
+	 * Schedule a debounced update.  While an animation is running the
+	 * update is pushed back until it finishes.
+	 * @private
+	 */
+	_schedule: function() {
+		var self=this;
+		if (self._ti) clearTimeout(self._ti);
+		self._ti=setTimeout(function() {
+			self._ti=null;
+			if (self.map.mapState.finalState) self._schedule();
+			else self.update();
+		}, PERMALINK_DEBOUNCE_MS);
+	}
+};
+
+// -- Exports
+exports.Permalink=Permalink;
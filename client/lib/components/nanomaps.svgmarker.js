@@ -37,6 +37,7 @@ function createSvgElement(tagName) {
  */
 function SvgMarker(settings) {
 	settings=this.settings=settings||{};
+	this.attribution=settings.attribution||null;
 	var canvas=createSvgElement('svg');
 	canvas.setAttribute('class', settings.className||'');
 	canvas.mapeer=this;	// Circular ref ok.  The only browsers who support svg have decent gc
@@ -24,9 +24,20 @@
  * tiles
  * @param {integer} [options.buffer=64] The number of pixels to actively buffer on
  * all sides of the map
+ * @param {string|Array} [options.attribution] Credit for the tiles (html) shown by
+ * AttributionControl
  */
 function TileLayer(options) {
 	if (!options) options={};
+	
+	/**
+	 * (Attachment Api) Credit for the tile source
+	 * @name attribution
+	 * @public
+	 * @memberOf nanomaps.TileLayer#
+	 */
+	this.attribution=options.attribution||null;
+	
 	/**
 	 * The TileLayerPeer object
 	 * @name peer
@@ -107,17 +118,26 @@ TileLayerPeer.prototype={
 		this.mareset(map, element);
 	},
 	
+	/**
+	 * Dispose of all tiles, cancelling any pending loads.
+	 * @private
+	 */
+	madetach: function(map, element) {
+		this.lockedState=null;
+		this.current.clear();
+		this.old.clear();
+		this.transition.clear();
+	},
+	
 	/**
 	 * Populates the transition TileSet with tiles for the given mapState.
 	 * A lot of this code is semi-duplicated in onreset but with minor twists
 	 * and I've not been able to condense them into one without breaking things.
 	 * @private
 	 */
-	loadPendingTiles: function(mapState) {
+	loadPendingTiles: function(mapState, wrap) {
 		var transitionTileSet=this.transition,
 			currentTileSet=this.current,
-			right=mapState.w-1,
-			bottom=mapState.h-1,
 			updatedKeys,
 			i,
 			key,
@@ -128,12 +148,7 @@ TileLayerPeer.prototype={
 		
 		transitionTileSet.clear();
 		// Select tiles that intersect our display area
-		updatedKeys=this.sel.select(mapState.prj,
-			mapState.res,
-			mapState.getPrjX(0,0),
-			mapState.getPrjY(0,0),
-			mapState.getPrjX(right,bottom),
-			mapState.getPrjY(right,bottom));
+		updatedKeys=selectTiles(this.sel, mapState, wrap);
 		
 		// Match them up against what we are already displaying
 		for (i=0; i<updatedKeys.length; i++) {
@@ -172,8 +187,6 @@ TileLayerPeer.prototype={
 			oldTileSet=this.old,
 			mapState=map.mapState,
 			lockedState=this.lockedState,
-			right=mapState.w-1,
-			bottom=mapState.h-1,
 			updatedKeys,
 			i,
 			key,
@@ -191,20 +204,19 @@ TileLayerPeer.prototype={
 			
 			if (lockedState) {
 				// Load tiles for a new final state
-				this.loadPendingTiles(lockedState);
+				this.loadPendingTiles(lockedState, map.isWrapped());
 			}
 		}
 		
 		//console.log('TileLayer.onreset(transition locked=' + (!!lockedState) + ')');
 		currentTileSet.resetMarks();
 		
+		// Tiles are laid out unrotated.  Rotate the whole layer about the
+		// viewport center instead.
+		setRotation(element, -mapState.rot, mapState.w/2, mapState.h/2);
+		
 		// Select tiles that intersect our display area
-		updatedKeys=this.sel.select(mapState.prj,
-			mapState.res,
-			mapState.getPrjX(0,0),
-			mapState.getPrjY(0,0),
-			mapState.getPrjX(right,bottom),
-			mapState.getPrjY(right,bottom));
+		updatedKeys=selectTiles(this.sel, mapState, map.isWrapped());
 
 		// Match them up against what we are already displaying
 		for (i=0; i<updatedKeys.length; i++) {
@@ -288,11 +300,32 @@ function sortTiles(tilesAry, x, y) {
 	});
 }
 
+/**
+ * Select the keys of all tiles that intersect the viewport of the given
+ * mapState.  If the map is rotated, this is the bounding box of the
+ * rotated viewport.
+ */
+function selectTiles(sel, mapState, wrap) {
+	var right=mapState.w-1,
+		bottom=mapState.h-1,
+		xs=[mapState.getPrjX(0,0), mapState.getPrjX(right,0), mapState.getPrjX(0,bottom), mapState.getPrjX(right,bottom)],
+		ys=[mapState.getPrjY(0,0), mapState.getPrjY(right,0), mapState.getPrjY(0,bottom), mapState.getPrjY(right,bottom)];
+	return sel.select(mapState.prj,
+		mapState.res,
+		Math.min.apply(Math, xs),
+		Math.min.apply(Math, ys),
+		Math.max.apply(Math, xs),
+		Math.max.apply(Math, ys),
+		wrap);
+}
+
 /**
  * Given a MapState and TileKey, fill in a Rect with the pixel coordinates
  * of the tile for the current state.
- * This assumes rectangular display.  For rotation, this will all need to
- * be reworked.
+ * This assumes rectangular display.  Tiles are positioned relative to the
+ * unrotated viewport (display coordinates less the viewport origin).  If
+ * the map is rotated, the TileLayer element is rotated about the viewport
+ * center to compensate.
  * @param mapState
  * @param tile
  */
@@ -323,6 +356,7 @@ function setTileBounds(mapState, tile) {
  * </ul>
  * <p>
  * Remember to always provide proper attribution and get permission for using tiles.
+ * Pass it as the attribution option of the TileLayer and attach an AttributionControl.
  * <p>
  * The following tileSrc can be used to display tiles from different providers:
  * <ul>
@@ -403,6 +437,7 @@ CartesianTileSelector.prototype={
 		if (pended && pended.tile===tile) {
 			//console.log('Destroy tile ' + id);
 			delete this.pending[id];
+			pended.tile=null;
 			// This is rumoured to cancel loading the
 			// image in some browsers
 			pended.img.src='data:image/png,';
@@ -438,6 +473,11 @@ CartesianTileSelector.prototype={
 	 * Select all tiles that intersect the given bounding box at the
 	 * given resolution.  Return an array of TileKey elements.  The coordinates
 	 * define a bounding box in projected units (resolution invariant).
+	 * <p>
+	 * Tiles outside of the projection's extent are not selected unless wrap
+	 * is true, in which case the world repeats horizontally.  The tileX of
+	 * each repeated tile is normalized so that it resolves to a valid source
+	 * but its id and position are unique to the copy of the world it is in.
 	 *
 	 * @public
 	 * @name select
@@ -448,9 +488,10 @@ CartesianTileSelector.prototype={
 	 * @param {Number} y1
 	 * @param {Number} x2
 	 * @param {Number} y2
+	 * @param {Boolean} [wrap=false] repeat the world horizontally
 	 * @return {Array[TileDesc]}
 	 */
-	select: function(projection, resolution, x1, y1, x2, y2) {
+	select: function(projection, resolution, x1, y1, x2, y2, wrap) {
 		// - Projection setup
 		var tileSize=this.tileSize,
 			projectedBounds=projection.PRJ_EXTENT,
@@ -459,7 +500,9 @@ CartesianTileSelector.prototype={
 			nativeLevel=Math.round(projection.toLevel(resolution)),
 			nativeResolution=projection.fromLevel(nativeLevel),
 			nativeOriginX,
-			nativeOriginY;
+			nativeOriginY,
+			tileCountX=Math.round((projectedBounds.maxx-projectedBounds.minx) / nativeResolution / tileSize),
+			tileCountY=Math.round((projectedBounds.maxy-projectedBounds.miny) / nativeResolution / tileSize);
 			
 		x1/=nativeResolution;
 		y1/=nativeResolution;
@@ -493,12 +536,15 @@ CartesianTileSelector.prototype={
 		var startX=Math.floor(Math.min(x1,x2)/tileSize),
 			startY=Math.floor(Math.min(y1,y2)/tileSize),
 			endX=Math.floor(Math.max(x1,x2)/tileSize),
-			endY=Math.floor(Math.max(y2,y2)/tileSize),
+			endY=Math.floor(Math.max(y1,y2)/tileSize),
 			i, j,
+			tileX, copy,
 			projectedX, projectedY,
 			ret=[];
 	
 		for (j=startY; j<=endY; j++) {
+			if (j<0 || j>=tileCountY) continue;
+			
 			if (yinversion) {
 				// Common path
 				projectedY=nativeOriginY - j*tileSize;
@@ -507,6 +553,11 @@ CartesianTileSelector.prototype={
 			}
 				
 			for (i=startX; i<=endX; i++) {
+				// Normalize to the primary copy of the world
+				copy=Math.floor(i/tileCountX);
+				tileX=i-copy*tileCountX;
+				if (copy && !wrap) continue;
+				
 				if (xinversion) {
 					projectedX=nativeOriginX - i*tileSize;
 				} else {
@@ -516,12 +567,13 @@ CartesianTileSelector.prototype={
 				
 				ret.push(new CartesianTileKey(
 					nativeLevel,
-					i,
+					tileX,
 					j,
 					nativeResolution,
 					projectedX,
 					projectedY,
-					tileSize
+					tileSize,
+					copy
 				));
 			}
 		}
@@ -544,9 +596,13 @@ CartesianTileSelector.prototype={
  * necessarily a good one.  It potentially saves one multiple/divide
  * on render, but introduces complexity.  It is retained in this port
  * for consistency.
+ * <p>
+ * When the world wraps, copy is the index of the repeated copy of the
+ * world that the tile is displayed in (0 for the primary).  It is
+ * included in the id so that multiple copies can be displayed at once.
  */
-function CartesianTileKey(level, tileX, tileY, res, scaledX, scaledY, size) {
-	this.id=tileX+','+tileY+'@'+level;
+function CartesianTileKey(level, tileX, tileY, res, scaledX, scaledY, size, copy) {
+	this.id=tileX+','+tileY+'@'+level+(copy ? '#'+copy : '');
 	this.level=level;
 	this.tileX=tileX;
 	this.tileY=tileY;
@@ -554,6 +610,7 @@ function CartesianTileKey(level, tileX, tileY, res, scaledX, scaledY, size) {
 	this.scaledX=scaledX;
 	this.scaledY=scaledY;
 	this.size=size;
+	this.copy=copy||0;
 }
 
 /**
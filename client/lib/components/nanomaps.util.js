@@ -156,14 +156,19 @@ EventEmitterMethods.removeListener=function(event, listener) {
 };
 
 /**
- * Remove all listeners for a given event.
+ * Remove all listeners for a given event.  If no event is given, then
+ * listeners for all events are removed.
  *
  * @public
  * @methodOf nanomaps.EventEmitter.prototype
  * @name removeAllListeners
- * @param {string} event Event name to add listener to
+ * @param {string} [event] Event name to remove listeners from
  */
 EventEmitterMethods.removeAllListeners=function(event) {
+	if (event===undefined) {
+		this.__evt={};
+		return;
+	}
 	this._evt(event).length=0;
 	this._evt(event+'$once').length=0;
 };
@@ -178,8 +183,6 @@ EventEmitterMethods.removeAllListeners=function(event) {
  * If a method exists on the instance named 'on' + event, then that method
  * will be invoked as an event listener prior to any others.
  *
- * <p><i>TODO: Make listener add/remove durable from within a callback</i>
- *
  * @public
  * @methodOf nanomaps.EventEmitter.prototype
  * @name emit
@@ -195,15 +198,18 @@ EventEmitterMethods.emit=function(event /*, arg1..argn */) {
 		handler.apply(this, eventArgs);
 	}
 	
-	// Emit once events
+	// Emit once events.  Lists are copied so that listeners can be
+	// added and removed from within a callback.
 	list=this._evt(event+'$once');
-	for (i=0; i<list.length; i++) {
-		list[i].apply(this, eventArgs);
+	if (list.length) {
+		this.__evt[event+'$once']=[];	// Zero the once only array
+		for (i=0; i<list.length; i++) {
+			list[i].apply(this, eventArgs);
+		}
 	}
-	list.length=0;	// Zero the once only array
 
 	// Emit standard events
-	list=this._evt(event);
+	list=this._evt(event).slice();
 	for (i=0; i<list.length; i++) {
 		list[i].apply(this, eventArgs);
 	}
@@ -275,6 +281,9 @@ function getAdvisorStub(method) {
 	return stub;
 }
 
+var DEG_TO_RAD=Math.PI/180,
+	RAD_TO_DEG=180/Math.PI;
+
 /**
  * Return current time millis
  */
@@ -17,8 +17,13 @@ global.nanomaps=exports;
 ##include('components/nanomaps.core.js')
 ##include('components/nanomaps.tiles.js')
 ##include('components/nanomaps.motion.js')
+##include('components/nanomaps.autoresize.js')
+##include('components/nanomaps.keyboard.js')
 ##include('components/nanomaps.imgmarker.js')
 ##include('components/nanomaps.svgmarker.js')
 ##include('components/nanomaps.infowindow.js')
+##include('components/nanomaps.controls.js')
+##include('components/nanomaps.permalink.js')
+##include('components/nanomaps.maplink.js')
 })(window);
 
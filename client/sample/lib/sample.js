@@ -21,27 +21,46 @@ var map,
 			unit: 'm'
 		});
 
+var MAPQUEST_ATTRIBUTION='Tiles Courtesy of <a href="http://open.mapquest.co.uk/" target="_blank">MapQuest</a> <img width="16" height="16" src="http://developer.mapquest.com/content/osm/mq_logo.png" border="0">',
+	OSM_ATTRIBUTION='&copy; <a href="http://www.openstreetmap.org/">OpenStreetMap</a> and contributors, <a href="http://creativecommons.org/licenses/by-sa/2.0/">CC-BY-SA</a>';
+
 var TILE_LAYERS={
 	street: new nanomaps.TileLayer({
-			tileSrc: "http://otile${modulo:1,2,3}.mqcdn.com/tiles/1.0.0/osm/${level}/${tileX}/${tileY}.png"
+			tileSrc: "http://otile${modulo:1,2,3}.mqcdn.com/tiles/1.0.0/osm/${level}/${tileX}/${tileY}.png",
+			attribution: [MAPQUEST_ATTRIBUTION, OSM_ATTRIBUTION]
 		}),
 	sat: new nanomaps.TileLayer({
-			tileSrc: "http://oatile${modulo:1,2,3}.mqcdn.com/naip/${level}/${tileX}/${tileY}.jpg"
+			tileSrc: "http://oatile${modulo:1,2,3}.mqcdn.com/naip/${level}/${tileX}/${tileY}.jpg",
+			attribution: MAPQUEST_ATTRIBUTION
 		}),
 	hyb: new nanomaps.TileLayer({
-			tileSrc: "http://otile${modulo:1,2,3}.mqcdn.com/tiles/1.0.0/hyb/${level}/${tileX}/${tileY}.png"
+			tileSrc: "http://otile${modulo:1,2,3}.mqcdn.com/tiles/1.0.0/hyb/${level}/${tileX}/${tileY}.png",
+			attribution: [MAPQUEST_ATTRIBUTION, OSM_ATTRIBUTION]
 		})
 };
 	
+var TILE_LAYER_SETS={
+	street: [TILE_LAYERS.street],
+	aerial: [TILE_LAYERS.sat, TILE_LAYERS.hyb]
+};
+	
 function setTileLayer(type) {
-	if (type==='street') {
-		map.detach(TILE_LAYERS.sat);
-		map.detach(TILE_LAYERS.hyb);
-		map.attach(TILE_LAYERS.street);
-	} else if (type==='aerial') {
-		map.detach(TILE_LAYERS.street);
-		map.attach(TILE_LAYERS.sat);
-		map.attach(TILE_LAYERS.hyb);
+	var wanted=TILE_LAYER_SETS[type]||[],
+		layers, i, j, visible;
+	
+	// Make sure everything wanted is on the map (in order)
+	for (i=0; i<wanted.length; i++) {
+		if (!map.hasAttachment(wanted[i])) map.attach(wanted[i]);
+	}
+	
+	// Show only the wanted layers
+	layers=map.getAttachments({ layer: 'map' });
+	for (i=0; i<layers.length; i++) {
+		visible=false;
+		for (j=0; j<wanted.length; j++) {
+			if (layers[i]===wanted[j]) visible=true;
+		}
+		map.setAttachmentVisible(layers[i], visible);
 	}
 }
 	
@@ -104,16 +123,9 @@ function initialize() {
 }
 
 function setupControls() {
-	$('#zoomControl .zoomIn').click(function() {
-		map.begin();
-		map.zoomIn();
-		map.commit(true);
-	});
-	$('#zoomControl .zoomOut').click(function() {
-		map.begin();
-		map.zoomOut();
-		map.commit(true);
-	});
+	map.attach(new nanomaps.ZoomControl({ margin: 5 }));
+	map.attach(new nanomaps.Compass({ margin: 5 }));
+	map.attach(new nanomaps.AttributionControl({ margin: 2, separator: '<br />' }));
 	
 	$('#btnStreet').click(function() {
 		setTileLayer('street');
@@ -189,6 +201,7 @@ function showMap(initialPosition, initialLevel) {
 	};
 	if (initialLevel) map.setZoom(initialLevel);
 	map.setLocation(initialPosition);
+	map.setHome();
 	setTileLayer('street');
 	
 	